@@ -0,0 +1,2740 @@
+;(function (root, factory, undef) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./enc-base64"), require("./aes"), require("./mode-ctr"), require("./mode-gcm"), require("./sha256"), require("./sha512"), require("./pbkdf2"), require("./hkdf"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./enc-base64", "./aes", "./mode-ctr", "./mode-gcm", "./sha256", "./sha512", "./pbkdf2", "./hkdf"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (C) {
+
+  /*
+   * The MIT License (MIT)
+   *
+   * Copyright (c) 2015 artjomb
+   */
+  // put on ext property in CryptoJS
+  var ext;
+  if (!C.hasOwnProperty("ext")) {
+      ext = C.ext = {};
+  } else {
+      ext = C.ext;
+  }
+
+  /**
+   * Shifts the array by n bits to the left. Zero bits are added as the
+   * least significant bits. This operation modifies the current array.
+   *
+   * @param {WordArray} wordArray WordArray to work on
+   * @param {int} n Bits to shift by
+   *
+   * @returns the WordArray that was passed in
+   */
+  ext.bitshift = function(wordArray, n){
+      var carry = 0,
+          words = wordArray.words,
+          wres,
+          skipped = 0,
+          carryMask;
+      if (n > 0) {
+          while(n > 31) {
+              // delete first element:
+              words.splice(0, 1);
+
+              // add `0` word to the back
+              words.push(0);
+
+              n -= 32;
+              skipped++;
+          }
+          if (n == 0) {
+              // 1. nothing to shift if the shift amount is on a word boundary
+              // 2. This has to be done, because the following algorithm computes
+              // wrong values only for n==0
+              return carry;
+          }
+          for(var i = words.length - skipped - 1; i >= 0; i--) {
+              wres = words[i];
+              words[i] <<= n;
+              words[i] |= carry;
+              carry = wres >>> (32 - n);
+          }
+      } else if (n < 0) {
+          while(n < -31) {
+              // insert `0` word to the front:
+              words.splice(0, 0, 0);
+
+              // remove last element:
+              words.length--;
+
+              n += 32;
+              skipped++;
+          }
+          if (n == 0) {
+              // nothing to shift if the shift amount is on a word boundary
+              return carry;
+          }
+          n = -n;
+          carryMask = (1 << n) - 1;
+          for(var i = skipped; i < words.length; i++) {
+              wres = words[i] & carryMask;
+              words[i] >>>= n;
+              words[i] |= carry;
+              carry = wres << (32 - n);
+          }
+      }
+      return carry;
+  };
+
+  /**
+   * Negates all bits in the WordArray. This manipulates the given array.
+   *
+   * @param {WordArray} wordArray WordArray to work on
+   *
+   * @returns the WordArray that was passed in
+   */
+  ext.neg = function(wordArray){
+      var words = wordArray.words;
+      for(var i = 0; i < words.length; i++) {
+          words[i] = ~words[i];
+      }
+      return wordArray;
+  };
+
+  /**
+   * Applies XOR on both given word arrays and returns a third resulting
+   * WordArray. The initial word arrays must have the same length
+   * (significant bytes).
+   *
+   * @param {WordArray} wordArray1 WordArray
+   * @param {WordArray} wordArray2 WordArray
+   *
+   * @returns first passed WordArray (modified)
+   */
+  ext.xor = function(wordArray1, wordArray2){
+      for(var i = 0; i < wordArray1.words.length; i++) {
+          wordArray1.words[i] ^= wordArray2.words[i];
+      }
+      return wordArray1;
+  };
+
+  /**
+   * Logical AND between the two passed arrays. Both arrays must have the
+   * same length.
+   *
+   * @param {WordArray} arr1 Array 1
+   * @param {WordArray} arr2 Array 2
+   *
+   * @returns new WordArray
+   */
+  ext.bitand = function(arr1, arr2){
+      var newArr = arr1.clone(),
+          tw = newArr.words,
+          ow = arr2.words;
+      for(var i = 0; i < tw.length; i++) {
+          tw[i] &= ow[i];
+      }
+      return newArr;
+  };
+
+
+  /*
+   * The MIT License (MIT)
+   *
+   * Copyright (c) 2015 artjomb
+   */
+  // put on ext property in CryptoJS
+  var ext;
+  if (!C.hasOwnProperty("ext")) {
+      ext = C.ext = {};
+  } else {
+      ext = C.ext;
+  }
+
+  // Shortcuts
+  var Base = C.lib.Base;
+  var WordArray = C.lib.WordArray;
+
+  // Constants
+  ext.const_Zero = new WordArray.init([0x00000000, 0x00000000, 0x00000000, 0x00000000]);
+  ext.const_One = new WordArray.init([0x00000000, 0x00000000, 0x00000000, 0x00000001]);
+  ext.const_Rb = new WordArray.init([0x00000000, 0x00000000, 0x00000000, 0x00000087]); // 00..0010000111
+  ext.const_Rb_Shifted = new WordArray.init([0x80000000, 0x00000000, 0x00000000, 0x00000043]); // 100..001000011
+  ext.const_nonMSB = new WordArray.init([0xFFFFFFFF, 0xFFFFFFFF, 0x7FFFFFFF, 0x7FFFFFFF]); // 1^64 || 0^1 || 1^31 || 0^1 || 1^31
+
+  /**
+   * Looks into the object to see if it is a WordArray.
+   *
+   * @param obj Some object
+   *
+   * @returns {boolean}
+
+   */
+  ext.isWordArray = function(obj) {
+      return obj && typeof obj.clamp === "function" && typeof obj.concat === "function" && typeof obj.words === "array";
+  }
+
+  /**
+   * Converts a Uint8Array (or any other ArrayBuffer view including a Node.js
+   * Buffer), an ArrayBuffer or an UTF-8 encoded string to a WordArray. Anything else is returned as is.
+   *
+   * @param {WordArray|Uint8Array|ArrayBuffer|DataView|string} data Data to convert
+   *
+   * @returns {WordArray}
+   */
+  ext.toWordArray = function(data) {
+      if (typeof data === "string") {
+          return C.enc.Utf8.parse(data);
+      }
+      if (typeof ArrayBuffer !== "undefined" && data) {
+          if (data instanceof ArrayBuffer) {
+              return WordArray.fromArrayBuffer(data);
+          }
+          if (ArrayBuffer.isView(data)) {
+              return WordArray.fromDataView(data);
+          }
+      }
+      return data;
+  };
+
+  /**
+   * Returns the conversion of result WordArrays requested by the returnBuffer
+   * or returnUint8Array option or null if WordArrays should be returned.
+   */
+  function binaryOutput(cfg) {
+      if (cfg && cfg.returnBuffer) {
+          return function (wordArray) {
+              return wordArray.toBuffer();
+          };
+      }
+      if (cfg && cfg.returnUint8Array) {
+          return function (wordArray) {
+              return wordArray.toUint8Array();
+          };
+      }
+      return null;
+  }
+
+  /**
+   * Throws a KeyLengthError unless the key is 16, 24 or 32 bytes long.
+   */
+  function checkAesKey(key, name) {
+      if (key.sigBytes !== 16 && key.sigBytes !== 24 && key.sigBytes !== 32) {
+          throw new C.error.KeyLengthError(name + " key must be 16, 24 or 32 bytes long, got " + key.sigBytes);
+      }
+  }
+
+  /**
+   * Finalizes the MAC computation and compares the result in constant time
+   * with the expected MAC. Shared by CMAC and PMAC.
+   *
+   * @param {WordArray|Uint8Array|ArrayBuffer} mac The expected MAC
+   * @param {WordArray|Uint8Array|ArrayBuffer|string} messageUpdate (Optional) The last part of the message
+   *
+   * @returns {boolean} true if the MAC matches, otherwise false or an AuthenticationError in the throwing mode
+   */
+  function verifyMac(mac, messageUpdate) {
+      if (ext.equals(ext.toWordArray(this.finalize(messageUpdate)), ext.toWordArray(mac))) {
+          return true;
+      }
+      return C.error.authenticationFailed(this._throwOnAuthFailure, this._name + " verification failed");
+  }
+
+  /**
+   * This padding is a 1 bit followed by as many 0 bits as needed to fill
+   * up the block. This implementation doesn't work on bits directly,
+   * but on bytes. Therefore the granularity is much bigger.
+   */
+  C.pad.OneZeroPadding = {
+      pad: function (data, blocksize) {
+          // Shortcut
+          var blockSizeBytes = blocksize * 4;
+
+          // Count padding bytes
+          var nPaddingBytes = blockSizeBytes - data.sigBytes % blockSizeBytes;
+
+          // Create padding
+          var paddingWords = [];
+          for (var i = 0; i < nPaddingBytes; i += 4) {
+              var paddingWord = 0x00000000;
+              if (i === 0) {
+                  paddingWord = 0x80000000;
+              }
+              paddingWords.push(paddingWord);
+          }
+          var padding = new WordArray.init(paddingWords, nPaddingBytes);
+
+          // Add padding
+          data.concat(padding);
+      },
+
+      /**
+       * Removes the padding after checking that the last block ends with a
+       * 0x80 byte followed by zero bytes.
+       *
+       * @param {WordArray} data The data to unpad
+       * @param {number} blocksize (Optional) The block size in words. Default: 4
+       *
+       * @throws MalformedInputError If the padding is malformed
+       */
+      unpad: function (data, blocksize) {
+          // Shortcuts
+          var dataWords = data.words;
+          var dataSigBytes = data.sigBytes;
+          var blockSizeBytes = (blocksize || 4) * 4;
+
+          // Scan the whole last block from the end, so that the time taken
+          // doesn't depend on the position of the 0x80 byte
+          var found = 0;
+          var invalid = 0;
+          var nPaddingBytes = 0;
+          var nCheckedBytes = Math.min(blockSizeBytes, dataSigBytes);
+          for (var i = 1; i <= nCheckedBytes; i++) {
+              var pos = dataSigBytes - i;
+              var paddingByte = (dataWords[pos >>> 2] >>> (24 - (pos % 4) * 8)) & 0xff;
+              var marker = !found & (paddingByte === 0x80);
+              invalid |= !found & (paddingByte !== 0x00) & (paddingByte !== 0x80);
+              nPaddingBytes = marker ? i : nPaddingBytes;
+              found |= marker;
+          }
+          if (invalid | !found) {
+              throw new C.error.MalformedInputError("Malformed padding");
+          }
+
+          // Remove padding
+          data.sigBytes -= nPaddingBytes;
+      }
+  };
+
+  /**
+   * ISO/IEC 7816-4 padding, which is the same as OneZeroPadding (also known
+   * as ISO/IEC 9797-1 padding method 2).
+   */
+  C.pad.Iso7816 = C.pad.OneZeroPadding;
+
+  /**
+   * No padding is applied. This is necessary for streaming cipher modes
+   * like CTR.
+   */
+  C.pad.NoPadding = {
+      pad: function () {},
+      unpad: function () {}
+  };
+
+  /**
+   * Returns the n leftmost bytes of the WordArray.
+   *
+   * @param {WordArray} wordArray WordArray to work on
+   * @param {int} n Bytes to retrieve
+   *
+   * @returns new WordArray
+   */
+  ext.leftmostBytes = function(wordArray, n){
+      var lmArray = wordArray.clone();
+      lmArray.sigBytes = n;
+      lmArray.clamp();
+      return lmArray;
+  };
+
+  /**
+   * Returns the n rightmost bytes of the WordArray.
+   *
+   * @param {WordArray} wordArray WordArray to work on
+   * @param {int} n Bytes to retrieve (must be positive)
+   *
+   * @returns new WordArray
+   */
+  ext.rightmostBytes = function(wordArray, n){
+      wordArray.clamp();
+      var wordSize = 32;
+      var rmArray = wordArray.clone();
+      var bitsToShift = (rmArray.sigBytes - n) * 8;
+      if (bitsToShift >= wordSize) {
+          var popCount = Math.floor(bitsToShift/wordSize);
+          bitsToShift -= popCount * wordSize;
+          rmArray.words.splice(0, popCount);
+          rmArray.sigBytes -= popCount * wordSize / 8;
+      }
+      if (bitsToShift > 0) {
+          ext.bitshift(rmArray, bitsToShift);
+          rmArray.sigBytes -= bitsToShift / 8;
+      }
+      return rmArray;
+  };
+
+  /**
+   * Returns the n rightmost words of the WordArray. It assumes
+   * that the current WordArray has at least n words.
+   *
+   * @param {WordArray} wordArray WordArray to work on
+   * @param {int} n Words to retrieve (must be positive)
+   *
+   * @returns popped words as new WordArray
+   */
+  ext.popWords = function(wordArray, n){
+      var left = wordArray.words.splice(0, n);
+      wordArray.sigBytes -= n * 4;
+      return new WordArray.init(left);
+  };
+
+  /**
+   * Shifts the array to the left and returns the shifted dropped elements
+   * as WordArray. The initial WordArray must contain at least n bytes and
+   * they have to be significant.
+   *
+   * @param {WordArray} wordArray WordArray to work on (is modified)
+   * @param {int} n Bytes to shift (must be positive, default 16)
+   *
+   * @returns new WordArray
+   */
+  ext.shiftBytes = function(wordArray, n){
+      n = n || 16;
+      var r = n % 4;
+      n -= r;
+
+      var shiftedArray = new WordArray.init();
+      for(var i = 0; i < n; i += 4) {
+          shiftedArray.words.push(wordArray.words.shift());
+          wordArray.sigBytes -= 4;
+          shiftedArray.sigBytes += 4;
+      }
+      if (r > 0) {
+          shiftedArray.words.push(wordArray.words[0]);
+          shiftedArray.sigBytes += r;
+
+          ext.bitshift(wordArray, r * 8);
+          wordArray.sigBytes -= r;
+      }
+      return shiftedArray;
+  };
+
+  /**
+   * XORs arr2 to the end of arr1 array. This doesn't modify the current
+   * array aside from clamping.
+   *
+   * @param {WordArray} arr1 Bigger array
+   * @param {WordArray} arr2 Smaller array to be XORed to the end
+   *
+   * @returns new WordArray
+   */
+  ext.xorendBytes = function(arr1, arr2){
+      // TODO: more efficient
+      return ext.leftmostBytes(arr1, arr1.sigBytes-arr2.sigBytes)
+              .concat(ext.xor(ext.rightmostBytes(arr1, arr2.sigBytes), arr2));
+  };
+
+  /**
+   * Doubling operation on a 128-bit value. This operation modifies the
+   * passed array.
+   *
+   * @param {WordArray} wordArray WordArray to work on
+   *
+   * @returns passed WordArray
+   */
+  ext.dbl = function(wordArray){
+      var carry = ext.msb(wordArray);
+      ext.bitshift(wordArray, 1);
+      ext.xor(wordArray, carry === 1 ? ext.const_Rb : ext.const_Zero);
+      return wordArray;
+  };
+
+  /**
+   * Inverse operation on a 128-bit value. This operation modifies the
+   * passed array.
+   *
+   * @param {WordArray} wordArray WordArray to work on
+   *
+   * @returns passed WordArray
+   */
+  ext.inv = function(wordArray){
+      var carry = wordArray.words[3] & 1;
+      ext.bitshift(wordArray, -1);
+      ext.xor(wordArray, carry === 1 ? ext.const_Rb_Shifted : ext.const_Zero);
+      return wordArray;
+  };
+
+  /**
+   * Check whether the word arrays are equal.
+   *
+   * @param {WordArray} arr1 Array 1
+   * @param {WordArray} arr2 Array 2
+   *
+   * @returns boolean
+   */
+  ext.equals = function(arr1, arr2){
+      if (!arr2 || !arr2.words || arr1.sigBytes !== arr2.sigBytes) {
+          return false;
+      }
+      arr1.clamp();
+      arr2.clamp();
+      var equal = 0;
+      for(var i = 0; i < arr1.words.length; i++) {
+          equal |= arr1.words[i] ^ arr2.words[i];
+      }
+      return equal === 0;
+  };
+
+  /**
+   * Retrieves the most significant bit of the WordArray as an Integer.
+   *
+   * @param {WordArray} arr
+   *
+   * @returns Integer
+   */
+  ext.msb = function(arr) {
+      return arr.words[0] >>> 31;
+  }
+
+
+  /*
+   * The MIT License (MIT)
+   *
+   * Copyright (c) 2015 artjomb
+   */
+  // Shortcuts
+  var Base = C.lib.Base;
+  var WordArray = C.lib.WordArray;
+  var AES = C.algo.AES;
+  var ext = C.ext;
+  var OneZeroPadding = C.pad.OneZeroPadding;
+
+
+  var CMAC = C.algo.CMAC = Base.extend({
+      /**
+       * Initializes a newly created CMAC
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} key The secret key
+       * @param {Object} cfg (Optional) Options: returnUint8Array or returnBuffer makes finalize return a Uint8Array or a Node.js Buffer,
+       * throwOnAuthFailure makes verify throw an AuthenticationError instead of returning false
+       *
+       * @example
+       *
+       *     var cmacer = CryptoJS.algo.CMAC.create(key);
+       *     var cmacer = CryptoJS.algo.CMAC.create(key, { returnUint8Array: true });
+       */
+      init: function(key, cfg){
+          key = ext.toWordArray(key);
+          checkAesKey(key, "CMAC");
+          this._binaryOutput = binaryOutput(cfg);
+          this._throwOnAuthFailure = cfg && cfg.throwOnAuthFailure;
+
+          // generate sub keys...
+          this._aes = AES.createEncryptor(key, { iv: new WordArray.init(), padding: C.pad.NoPadding });
+
+          // Step 1
+          var L = this._aes.finalize(ext.const_Zero);
+
+          // Step 2
+          var K1 = L.clone();
+          ext.dbl(K1);
+
+          // Step 3
+          if (!this._isTwo) {
+              var K2 = K1.clone();
+              ext.dbl(K2);
+          } else {
+              var K2 = L.clone();
+              ext.inv(K2);
+          }
+
+          this._K1 = K1;
+          this._K2 = K2;
+
+          this._const_Bsize = 16;
+
+          this.reset();
+      },
+
+      reset: function () {
+          this._x = ext.const_Zero.clone();
+          this._counter = 0;
+          this._buffer = new WordArray.init();
+      },
+
+      update: function (messageUpdate) {
+          if (!messageUpdate) {
+              return this;
+          }
+
+          // Shortcuts
+          var buffer = this._buffer;
+          var bsize = this._const_Bsize;
+
+          messageUpdate = ext.toWordArray(messageUpdate);
+
+          buffer.concat(messageUpdate);
+
+          while(buffer.sigBytes > bsize){
+              var M_i = ext.shiftBytes(buffer, bsize);
+              ext.xor(this._x, M_i);
+              this._x.clamp();
+              this._aes.reset();
+              this._x = this._aes.finalize(this._x);
+              this._counter++;
+          }
+
+          // Chainable
+          return this;
+      },
+
+      finalize: function (messageUpdate) {
+          this.update(messageUpdate);
+
+          // Shortcuts
+          var buffer = this._buffer;
+          var bsize = this._const_Bsize;
+
+          var M_last = buffer.clone();
+          if (buffer.sigBytes === bsize) {
+              ext.xor(M_last, this._K1);
+          } else {
+              OneZeroPadding.pad(M_last, bsize/4);
+              ext.xor(M_last, this._K2);
+          }
+
+          ext.xor(M_last, this._x);
+
+          this.reset(); // Can be used immediately afterwards
+
+          this._aes.reset();
+          var mac = this._aes.finalize(M_last);
+
+          return this._binaryOutput ? this._binaryOutput(mac) : mac;
+      },
+
+      verify: verifyMac,
+
+      _name: "CMAC",
+
+      _isTwo: false
+  });
+
+  /**
+   * Directly invokes the CMAC and returns the calculated MAC.
+   *
+   * @param {WordArray|Uint8Array|ArrayBuffer} key The key to be used for CMAC
+   * @param {WordArray|Uint8Array|ArrayBuffer|string} message The data to be MAC'ed (either binary or UTF-8 encoded string)
+   * @param {Object} cfg (Optional) Options: returnUint8Array or returnBuffer returns the MAC as Uint8Array or Node.js Buffer
+   *
+   * @returns {WordArray|Uint8Array} MAC
+   */
+  C.CMAC = function(key, message, cfg){
+      return CMAC.create(key, cfg).finalize(message);
+  };
+
+  C.algo.OMAC1 = CMAC;
+  C.algo.OMAC2 = CMAC.extend({
+      _isTwo: true
+  });
+
+
+  // Shortcuts
+  var Base = C.lib.Base;
+  var WordArray = C.lib.WordArray;
+  var AES = C.algo.AES;
+  var ext = C.ext;
+  var OneZeroPadding = C.pad.OneZeroPadding;
+
+  /**
+   * PMAC, the parallelizable MAC of Black and Rogaway, in the variant used by
+   * AES-PMAC-SIV (Miscreant).
+   */
+  var PMAC = C.algo.PMAC = Base.extend({
+      /**
+       * Initializes a newly created PMAC
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} key The secret key
+       * @param {Object} cfg (Optional) Options: returnUint8Array or returnBuffer makes finalize return a Uint8Array or a Node.js Buffer,
+       * throwOnAuthFailure makes verify throw an AuthenticationError instead of returning false
+       *
+       * @example
+       *
+       *     var pmacer = CryptoJS.algo.PMAC.create(key);
+       */
+      init: function(key, cfg){
+          key = ext.toWordArray(key);
+          checkAesKey(key, "PMAC");
+          this._aes = AES.createEncryptor(key);
+          this._binaryOutput = binaryOutput(cfg);
+          this._throwOnAuthFailure = cfg && cfg.throwOnAuthFailure;
+
+          // L = E_K(0), L(-1) = L * x^-1, further L(i) are computed on demand
+          var L = ext.const_Zero.clone();
+          this._aes.encryptBlock(L.words, 0);
+          this._L = [L];
+          this._LInv = ext.inv(L.clone());
+
+          this._const_Bsize = 16;
+
+          this.reset();
+      },
+
+      reset: function () {
+          this._digest = ext.const_Zero.clone();
+          this._offset = ext.const_Zero.clone();
+          this._counter = 0;
+          this._buffer = new WordArray.init();
+      },
+
+      /**
+       * Returns L(ntz(i)) for the block index i.
+       */
+      _lNtz: function(i){
+          var n = 0;
+          while (!(i & 1)) {
+              i >>>= 1;
+              n++;
+          }
+          while (this._L.length <= n) {
+              this._L.push(ext.dbl(this._L[this._L.length - 1].clone()));
+          }
+          return this._L[n];
+      },
+
+      update: function (messageUpdate) {
+          if (!messageUpdate) {
+              return this;
+          }
+
+          // Shortcuts
+          var buffer = this._buffer;
+          var bsize = this._const_Bsize;
+
+          messageUpdate = ext.toWordArray(messageUpdate);
+
+          buffer.concat(messageUpdate);
+
+          // The last block is kept in the buffer, because it is processed differently
+          while(buffer.sigBytes > bsize){
+              var M_i = ext.shiftBytes(buffer, bsize);
+              ext.xor(this._offset, this._lNtz(++this._counter));
+              ext.xor(M_i, this._offset);
+              this._aes.encryptBlock(M_i.words, 0);
+              ext.xor(this._digest, M_i);
+          }
+
+          // Chainable
+          return this;
+      },
+
+      finalize: function (messageUpdate) {
+          this.update(messageUpdate);
+
+          // Shortcuts
+          var buffer = this._buffer;
+          var bsize = this._const_Bsize;
+          var digest = this._digest;
+
+          var M_last = buffer.clone();
+          M_last.clamp();
+          if (M_last.sigBytes === bsize) {
+              ext.xor(digest, M_last);
+              ext.xor(digest, this._LInv);
+          } else {
+              OneZeroPadding.pad(M_last, bsize/4);
+              ext.xor(digest, M_last);
+          }
+
+          this._aes.encryptBlock(digest.words, 0);
+
+          this.reset(); // Can be used immediately afterwards
+
+          return this._binaryOutput ? this._binaryOutput(digest) : digest;
+      },
+
+      verify: verifyMac,
+
+      _name: "PMAC"
+  });
+
+  /**
+   * Directly invokes the PMAC and returns the calculated MAC.
+   *
+   * @param {WordArray|Uint8Array|ArrayBuffer} key The key to be used for PMAC
+   * @param {WordArray|Uint8Array|ArrayBuffer|string} message The data to be MAC'ed (either binary or UTF-8 encoded string)
+   * @param {Object} cfg (Optional) Options: returnUint8Array or returnBuffer returns the MAC as Uint8Array or Node.js Buffer
+   *
+   * @returns {WordArray|Uint8Array} MAC
+   */
+  C.PMAC = function(key, message, cfg){
+      return PMAC.create(key, cfg).finalize(message);
+  };
+
+
+  /*
+   * The MIT License (MIT)
+   *
+   * Copyright (c) 2015 artjomb
+   */
+  // Shortcuts
+  var Base = C.lib.Base;
+  var WordArray = C.lib.WordArray;
+  var AES = C.algo.AES;
+  var ext = C.ext;
+  var OneZeroPadding = C.pad.OneZeroPadding;
+  var CMAC = C.algo.CMAC;
+  var PMAC = C.algo.PMAC;
+  var CipherParams = C.lib.CipherParams;
+
+  /**
+   * updateAAD must be used before update, because the additional data is
+   * expected to be authenticated before the plaintext stream starts.
+   *
+   * The PRF is CMAC. Use PMACS2V for PMAC as the PRF.
+   */
+  var S2V = C.algo.S2V = Base.extend({
+      /**
+       * @param {WordArray|Uint8Array|ArrayBuffer} key The S2V key
+       * @param {Object} cfg (Optional) Options: returnUint8Array or returnBuffer makes finalize return a Uint8Array or a Node.js Buffer
+       */
+      init: function(key, cfg){
+          key = ext.toWordArray(key);
+          this._binaryOutput = binaryOutput(cfg);
+          this._blockSize = 16;
+          this._cmacAD = this._prf.create(key);
+          this._cmacPT = this._prf.create(key);
+          this.reset();
+      },
+      reset: function(){
+          this._buffer = new WordArray.init();
+          this._cmacAD.reset();
+          this._cmacPT.reset();
+          this._d = this._cmacAD.finalize(ext.const_Zero);
+          this._empty = true;
+          this._ptStarted = false;
+      },
+      updateAAD: function(msgUpdate){
+          if (this._ptStarted) {
+              // It's not possible to authenticate any more additional data when the plaintext stream starts
+              return this;
+          }
+
+          if (!msgUpdate) {
+              return this;
+          }
+
+          msgUpdate = ext.toWordArray(msgUpdate);
+
+          this._d = ext.xor(ext.dbl(this._d), this._cmacAD.finalize(msgUpdate));
+          this._empty = false;
+
+          // Chainable
+          return this;
+      },
+      update: function(msgUpdate){
+          if (!msgUpdate) {
+              return this;
+          }
+
+          this._ptStarted = true;
+          var buffer = this._buffer;
+          var bsize = this._blockSize;
+          var wsize = bsize / 4;
+          var cmac = this._cmacPT;
+          msgUpdate = ext.toWordArray(msgUpdate);
+
+          buffer.concat(msgUpdate);
+
+          while(buffer.sigBytes >= 2 * bsize){
+              this._empty = false;
+              var s_i = ext.popWords(buffer, wsize);
+              cmac.update(s_i);
+          }
+
+          // Chainable
+          return this;
+      },
+      finalize: function(msgUpdate){
+          var v = this._finalize(msgUpdate);
+          return this._binaryOutput ? this._binaryOutput(v) : v;
+      },
+      _finalize: function(msgUpdate){
+          this.update(msgUpdate);
+
+          var bsize = this._blockSize;
+          var s_n = this._buffer;
+
+          if (this._empty && s_n.sigBytes === 0) {
+              return this._cmacAD.finalize(ext.const_One);
+          }
+
+          var t;
+          if (s_n.sigBytes >= bsize) {
+              t = ext.xorendBytes(s_n, this._d);
+          } else {
+              OneZeroPadding.pad(s_n, bsize);
+              t = ext.xor(ext.dbl(this._d), s_n);
+          }
+
+          return this._cmacPT.finalize(t);
+      },
+
+      _prf: CMAC
+  });
+
+  var PMACS2V = C.algo.PMACS2V = S2V.extend({
+      _prf: PMAC
+  });
+
+  /**
+   * Compact SIV formatting strategy: the tag followed by the ciphertext as
+   * unpadded Base64url, which can be used in URLs and cookies.
+   */
+  var SIVFormatter = C.format.SIV = {
+      /**
+       * @param {CipherParams} cipherParams The SIV cipher params object
+       *
+       * @returns {string} the compact string
+       */
+      stringify: function(cipherParams){
+          return cipherParams.tag.clone().concat(cipherParams.ciphertext).toString(C.enc.Base64url);
+      },
+
+      /**
+       * @param {string} str The compact string
+       *
+       * @returns {CipherParams} the SIV cipher params object
+       */
+      parse: function(str){
+          var ciphertext = C.enc.Base64url.parse(str);
+          if (ciphertext.sigBytes < 16) {
+              throw new C.error.MalformedInputError("Malformed SIV ciphertext");
+          }
+          var tag = ext.shiftBytes(ciphertext, 16);
+
+          return CipherParams.create({ tag: tag, ciphertext: ciphertext, formatter: SIVFormatter });
+      }
+  };
+
+  /**
+   * JSON SIV formatting strategy: an object with the Base64url encoded tag
+   * and ciphertext.
+   */
+  var SIVJSONFormatter = C.format.SIVJSON = {
+      /**
+       * @param {CipherParams} cipherParams The SIV cipher params object
+       *
+       * @returns {string} the JSON string
+       */
+      stringify: function(cipherParams){
+          return JSON.stringify({
+              tag: cipherParams.tag.toString(C.enc.Base64url),
+              ciphertext: cipherParams.ciphertext.toString(C.enc.Base64url)
+          });
+      },
+
+      /**
+       * @param {string} str The JSON string
+       *
+       * @returns {CipherParams} the SIV cipher params object
+       */
+      parse: function(str){
+          var json = JSON.parse(str);
+          if (!json || typeof json.tag !== "string" || typeof json.ciphertext !== "string") {
+              throw new C.error.MalformedInputError("Malformed SIV ciphertext");
+          }
+          var tag = C.enc.Base64url.parse(json.tag);
+          if (tag.sigBytes !== 16) {
+              throw new C.error.MalformedInputError("Malformed SIV ciphertext");
+          }
+
+          return CipherParams.create({
+              tag: tag,
+              ciphertext: C.enc.Base64url.parse(json.ciphertext),
+              formatter: SIVJSONFormatter
+          });
+      }
+  };
+
+  /**
+   * Returns the AES-CTR configuration of RFC 5297 section 2.6 for the tag V.
+   * The counter starts at V with bits 31 and 63 (counted from the right)
+   * cleared and is incremented as a 128-bit big-endian integer, so a message
+   * of less than 2^31 blocks never carries into the cleared bits.
+   */
+  function sivCtrCfg(tag) {
+      return {
+          iv: ext.bitand(tag, ext.const_nonMSB),
+          mode: C.mode.CTR,
+          padding: C.pad.NoPadding,
+          counterWidth: 128,
+          counterLittleEndian: false,
+          counterWrap: true
+      };
+  }
+
+  var SIV = C.SIV = Base.extend({
+      /**
+       * Initializes a newly created SIV instance
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} key The SIV key (S2V key followed by the CTR key)
+       * @param {Object} cfg (Optional) Options: returnUint8Array (or returnBuffer) makes encrypt return the
+       * tag followed by the ciphertext and decrypt the plaintext as Uint8Array (or Node.js Buffer),
+       * throwOnAuthFailure makes decrypt throw an AuthenticationError instead of returning false
+       *
+       * @example
+       *
+       *     var siv = CryptoJS.SIV.create(key);
+       *     var siv = CryptoJS.SIV.create(uint8ArrayKey, { returnUint8Array: true });
+       */
+      init: function(key, cfg){
+          this._binaryOutput = binaryOutput(cfg);
+          this._throwOnAuthFailure = cfg && cfg.throwOnAuthFailure;
+          key = ext.toWordArray(key);
+          if (key.sigBytes !== 32 && key.sigBytes !== 48 && key.sigBytes !== 64) {
+              throw new C.error.KeyLengthError("SIV key must be 32, 48 or 64 bytes long, got " + key.sigBytes);
+          }
+          var len = key.sigBytes / 2;
+          key = key.clone();
+          this._s2vKey = ext.shiftBytes(key, len);
+          this._ctrKey = key;
+      },
+
+      /**
+       * Creates a SIV instance with a key derived from a master secret with
+       * HKDF-SHA256, so that every context label gets an independent key.
+       * The key size in bits is appended to the info (e.g. "tokens v1/512"),
+       * so keys of different sizes for the same label are unrelated.
+       *
+       * @param {WordArray|string} master The master secret
+       * @param {WordArray|string} info The context label, e.g. "tokens v1"
+       * @param {number} keySize (Optional) The SIV key size in words: 256/32, 384/32 or 512/32. Default: 512/32
+       * @param {Object} cfg (Optional) Options, see init
+       *
+       * @returns {SIV}
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var siv = CryptoJS.SIV.fromMasterKey(masterKey, "tokens v1");
+       *     var siv = CryptoJS.SIV.fromMasterKey(masterKey, "tokens v1", 256/32);
+       */
+      fromMasterKey: function(master, info, keySize, cfg){
+          keySize = keySize || 512/32;
+          if (keySize !== 256/32 && keySize !== 384/32 && keySize !== 512/32) {
+              throw new C.error.KeyLengthError("SIV key size must be 256, 384 or 512 bits, got " + keySize * 32);
+          }
+
+          info = ext.toWordArray(info).clone().concat(C.enc.Utf8.parse("/" + keySize * 32));
+
+          return this.create(C.HKDF(master, undefined, info, { keySize: keySize }), cfg);
+      },
+
+      /**
+       * Creates a streaming decryptor. The ciphertext (tag followed by the
+       * encrypted data) is decrypted chunk by chunk into the sink, but the
+       * plaintext must not be used unless finalize returns true.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} key The SIV key (S2V key followed by the CTR key)
+       * @param {Array} adArray Additional data (binary or UTF-8 encoded string) in the order used for encryption
+       * @param {Function} sink Called with every decrypted chunk
+       * @param {Object} cfg (Optional) Options: returnUint8Array or returnBuffer passes the chunks as Uint8Array or Node.js Buffer,
+       * throwOnAuthFailure makes finalize throw an AuthenticationError instead of returning false
+       *
+       * @returns {SIV.Decryptor}
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var decryptor = CryptoJS.SIV.createDecryptor(key, [ ad ], function (chunk) { chunks.push(chunk); });
+       *     decryptor.update(ciphertextChunk1).update(ciphertextChunk2);
+       *     var valid = decryptor.finalize();
+       */
+      createDecryptor: function(key, adArray, sink, cfg){
+          return SIVDecryptor.create(this.create(key, cfg), adArray, sink);
+      },
+      encrypt: function(adArray, plaintext){
+          if (!plaintext && adArray) {
+              plaintext = adArray;
+              adArray = [];
+          }
+          plaintext = ext.toWordArray(plaintext);
+
+          var s2v = this._s2v.create(this._s2vKey);
+          Array.prototype.forEach.call(adArray, function(ad){
+              s2v.updateAAD(ad);
+          });
+          var tag = s2v.finalize(plaintext);
+          var ciphertext = C.AES.encrypt(plaintext, this._ctrKey, sivCtrCfg(tag));
+
+          if (this._binaryOutput) {
+              return this._binaryOutput(tag.concat(ciphertext.ciphertext));
+          }
+
+          return CipherParams.create({
+              tag: tag,
+              ciphertext: ciphertext.ciphertext,
+              formatter: SIVFormatter
+          });
+      },
+
+      /**
+       * Verifies and decrypts the ciphertext.
+       *
+       * @param {Array} adArray (Optional) Additional data in the order used for encryption
+       * @param {CipherParams|WordArray|Uint8Array|ArrayBuffer|string} ciphertext The result of encrypt,
+       * the tag followed by the ciphertext as binary, or a string in the given format
+       * @param {Format} format (Optional) The format of a string ciphertext (default: CryptoJS.format.SIV)
+       *
+       * @returns {WordArray|Uint8Array|boolean} plaintext or false if the authentication failed
+       */
+      decrypt: function(adArray, ciphertext, format){
+          if (!ciphertext && adArray) {
+              ciphertext = adArray;
+              adArray = [];
+          }
+
+          var params = this._parse(ciphertext, format);
+          var tag = params.tag;
+          ciphertext = params.ciphertext;
+          var plaintext = C.AES.decrypt({ciphertext:ciphertext}, this._ctrKey, sivCtrCfg(tag));
+
+          var s2v = this._s2v.create(this._s2vKey);
+          Array.prototype.forEach.call(adArray, function(ad){
+              s2v.updateAAD(ad);
+          });
+          var recoveredTag = s2v.finalize(plaintext);
+
+          if (ext.equals(tag, recoveredTag)) {
+              return this._binaryOutput ? this._binaryOutput(plaintext) : plaintext;
+          } else {
+              return C.error.authenticationFailed(this._throwOnAuthFailure, "SIV authentication failed");
+          }
+      },
+
+      /**
+       * Converts the supported ciphertext representations to an object with tag and ciphertext.
+       */
+      _parse: function(ciphertext, format){
+          if (typeof ciphertext === "string") {
+              return (format || SIVFormatter).parse(ciphertext);
+          }
+          if (ciphertext.tag) {
+              return ciphertext;
+          }
+
+          ciphertext = ext.toWordArray(ciphertext).clone();
+          var tag = ext.shiftBytes(ciphertext, 16);
+          return { tag: tag, ciphertext: ciphertext };
+      },
+
+      _s2v: S2V
+  });
+
+  /**
+   * Incremental SIV decryption, see SIV.createDecryptor.
+   *
+   * @property {boolean} valid Whether the tag has been verified. Set by finalize.
+   */
+  var SIVDecryptor = SIV.Decryptor = Base.extend({
+      init: function(siv, adArray, sink){
+          var s2v = this._s2v = siv._s2v.create(siv._s2vKey);
+          Array.prototype.forEach.call(adArray || [], function(ad){
+              s2v.updateAAD(ad);
+          });
+
+          this._siv = siv;
+          this._sink = sink;
+          this._buffer = new WordArray.init();
+          this._ctr = null;
+          this.valid = false;
+      },
+
+      _emit: function(plaintext){
+          if (plaintext.sigBytes) {
+              this._s2v.update(plaintext);
+              this._sink(this._siv._binaryOutput ? this._siv._binaryOutput(plaintext) : plaintext);
+          }
+      },
+
+      /**
+       * Decrypts the next ciphertext chunk into the sink.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} ciphertextUpdate The next chunk of the ciphertext
+       *
+       * @returns {SIV.Decryptor} this decryptor
+       */
+      update: function(ciphertextUpdate){
+          if (!ciphertextUpdate) {
+              return this;
+          }
+          ciphertextUpdate = ext.toWordArray(ciphertextUpdate);
+
+          // The CTR decryption starts when the complete tag is available
+          if (!this._ctr) {
+              this._buffer.concat(ciphertextUpdate);
+              if (this._buffer.sigBytes < 16) {
+                  return this;
+              }
+
+              this._tag = ext.shiftBytes(this._buffer, 16);
+              this._ctr = AES.createDecryptor(this._siv._ctrKey, sivCtrCfg(this._tag));
+              ciphertextUpdate = this._buffer;
+          }
+
+          this._emit(this._ctr.process(ciphertextUpdate));
+
+          // Chainable
+          return this;
+      },
+
+      /**
+       * Decrypts the rest of the ciphertext into the sink and verifies the tag.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} ciphertextUpdate (Optional) The last chunk of the ciphertext
+       *
+       * @returns {boolean} whether the plaintext passed to the sink is authentic
+       */
+      finalize: function(ciphertextUpdate){
+          this.update(ciphertextUpdate);
+
+          if (this._ctr) {
+              this._emit(this._ctr.finalize());
+              this.valid = ext.equals(this._tag, this._s2v.finalize());
+          } else {
+              // The ciphertext is shorter than the tag
+              this.valid = false;
+          }
+
+          return this.valid || C.error.authenticationFailed(this._siv._throwOnAuthFailure, "SIV authentication failed");
+      }
+  });
+
+  /**
+   * AES-PMAC-SIV, which computes S2V with the parallelizable PMAC instead of
+   * CMAC. It is used exactly like SIV.
+   */
+  C.PMACSIV = SIV.extend({
+      _s2v: PMACS2V
+  });
+
+  /**
+   * PBKDF2 hashers that can be named in password-based SIV ciphertexts.
+   */
+  var PBKDF2Hashers = {
+      sha256: C.algo.SHA256,
+      sha512: C.algo.SHA512
+  };
+
+  /**
+   * Returns the name of the hasher in PBKDF2Hashers or undefined.
+   */
+  function pbkdf2HasherName(hasher) {
+      for (var name in PBKDF2Hashers) {
+          if (PBKDF2Hashers[name] === hasher) {
+              return name;
+          }
+      }
+  }
+
+  /**
+   * Password-based SIV formatting strategy:
+   * "aes-siv-<key bits>.pbkdf2-<hash>.<iterations>.<salt>.<tag and ciphertext>"
+   * with the salt, tag and ciphertext Base64url encoded.
+   */
+  var PasswordBasedSIVFormatter = C.format.PasswordBasedSIV = {
+      /**
+       * @param {CipherParams} cipherParams The result of PasswordBasedSIV.encrypt
+       *
+       * @returns {string} the serialized ciphertext
+       */
+      stringify: function(cipherParams){
+          return [
+              "aes-siv-" + cipherParams.keySize * 32,
+              "pbkdf2-" + pbkdf2HasherName(cipherParams.hasher),
+              cipherParams.iterations,
+              cipherParams.salt.toString(C.enc.Base64url),
+              SIVFormatter.stringify(cipherParams)
+          ].join(".");
+      },
+
+      /**
+       * @param {string} str The serialized ciphertext
+       *
+       * @returns {CipherParams} the cipher params object with tag, ciphertext, salt, iterations, hasher and keySize
+       */
+      parse: function(str){
+          var parts = str.split(".");
+          var keyBits = parts.length === 5 && /^aes-siv-(256|384|512)$/.exec(parts[0]);
+          var hasher = parts.length === 5 && PBKDF2Hashers[parts[1].replace(/^pbkdf2-/, "")];
+          if (!keyBits || !hasher || parts[1].indexOf("pbkdf2-") !== 0 || !/^[1-9][0-9]{0,9}$/.test(parts[2])) {
+              throw new C.error.MalformedInputError("Malformed password-based SIV ciphertext");
+          }
+
+          var cipherParams = SIVFormatter.parse(parts[4]);
+          cipherParams.mixIn({
+              keySize: keyBits[1] / 32,
+              hasher: hasher,
+              iterations: parseInt(parts[2], 10),
+              salt: C.enc.Base64url.parse(parts[3]),
+              formatter: PasswordBasedSIVFormatter
+          });
+
+          return cipherParams;
+      }
+  };
+
+  /**
+   * SIV with the key derived from a passphrase by PBKDF2. The salt and the
+   * PBKDF2 parameters are stored with the ciphertext, so the passphrase is all
+   * that is needed for decryption.
+   */
+  var PasswordBasedSIV = C.PasswordBasedSIV = Base.extend({
+      /**
+       * Configuration options.
+       *
+       * @property {number} keySize The SIV key size in words: 256/32, 384/32 or 512/32. Default: 512/32
+       * @property {Hasher} hasher The PBKDF2 hasher, SHA256 or SHA512. Default: SHA256
+       * @property {number} iterations The PBKDF2 iteration count. Default: 250000
+       * @property {number} maxIterations The highest PBKDF2 iteration count that is accepted, so that a
+       *   ciphertext can't make decryption run for hours. Default: 2000000
+       * @property {number} saltSize The size of the random salt in bytes. Default: 16
+       */
+      cfg: Base.extend({
+          keySize: 512/32,
+          hasher: C.algo.SHA256,
+          iterations: 250000,
+          maxIterations: 2000000,
+          saltSize: 16
+      }),
+
+      /**
+       * Encrypts the plaintext with a key derived from the passphrase.
+       *
+       * @param {WordArray|string} passphrase The passphrase
+       * @param {WordArray|string} plaintext The message to encrypt (either WordArray or UTF-8 encoded string)
+       * @param {Array} adArray (Optional) Additional data that is authenticated but not encrypted
+       * @param {Object} cfg (Optional) Configuration options overriding the defaults
+       *
+       * @returns {CipherParams} ciphertext whose toString() includes the salt and PBKDF2 parameters
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var blob = CryptoJS.PasswordBasedSIV.encrypt("passphrase", plaintext).toString();
+       *     var blob = CryptoJS.PasswordBasedSIV.encrypt("passphrase", plaintext, [], { hasher: CryptoJS.algo.SHA512 }).toString();
+       */
+      encrypt: function(passphrase, plaintext, adArray, cfg){
+          cfg = this.cfg.extend(cfg);
+
+          var params = {
+              keySize: cfg.keySize,
+              hasher: cfg.hasher,
+              iterations: cfg.iterations,
+              salt: WordArray.random(cfg.saltSize)
+          };
+          var ciphertext = SIV.create(this._deriveKey(passphrase, params, cfg.maxIterations)).encrypt(adArray || [], plaintext);
+          params.formatter = PasswordBasedSIVFormatter;
+          ciphertext.mixIn(params);
+
+          return ciphertext;
+      },
+
+      /**
+       * Decrypts a password-based SIV ciphertext.
+       *
+       * @param {WordArray|string} passphrase The passphrase
+       * @param {CipherParams|string} ciphertext The result of encrypt or its serialization
+       * @param {Array} adArray (Optional) The additional data that was used for encryption
+       * @param {Object} cfg (Optional) SIV options, e.g. throwOnAuthFailure, and maxIterations
+       *
+       * @returns {WordArray|Uint8Array|boolean} plaintext or false if the passphrase is wrong or the ciphertext was modified
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var plaintext = CryptoJS.PasswordBasedSIV.decrypt("passphrase", blob);
+       *     var plaintext = CryptoJS.PasswordBasedSIV.decrypt("passphrase", blob, [], { maxIterations: 600000 });
+       */
+      decrypt: function(passphrase, ciphertext, adArray, cfg){
+          if (typeof ciphertext === "string") {
+              ciphertext = PasswordBasedSIVFormatter.parse(ciphertext);
+          }
+
+          var maxIterations = (cfg && cfg.maxIterations) || this.cfg.maxIterations;
+
+          return SIV.create(this._deriveKey(passphrase, ciphertext, maxIterations), cfg).decrypt(adArray || [], ciphertext);
+      },
+
+      _deriveKey: function(passphrase, params, maxIterations){
+          var keySize = params.keySize;
+          if (keySize !== 256/32 && keySize !== 384/32 && keySize !== 512/32) {
+              throw new C.error.KeyLengthError("Password-based SIV key size must be 256, 384 or 512 bits, got " + keySize * 32);
+          }
+          if (!pbkdf2HasherName(params.hasher)) {
+              throw new C.error.UnsupportedParameterError("Password-based SIV requires PBKDF2 with SHA256 or SHA512");
+          }
+          if (params.iterations > maxIterations) {
+              throw new C.error.UnsupportedParameterError("Password-based SIV iteration count " + params.iterations + " exceeds the maximum of " + maxIterations);
+          }
+
+          return C.PBKDF2(passphrase, params.salt, {
+              keySize: keySize,
+              hasher: params.hasher,
+              iterations: params.iterations
+          });
+      }
+  });
+
+
+  /**
+   * STREAM online authenticated encryption (Hoang, Reyhanitabar, Rogaway and
+   * Vizar) on top of SIV, compatible with Miscreant. A message is split into
+   * segments that are sealed one by one. Every segment nonce consists of the
+   * 8 byte nonce prefix, a 32-bit big-endian segment counter and a flag byte
+   * that marks the last segment, so reordered, dropped or truncated segments
+   * fail to open.
+   */
+  var STREAM = C.STREAM = Base.extend({
+      /**
+       * Creates a STREAM encryptor using SIV.
+       *
+       * @param {WordArray} key The SIV key
+       * @param {WordArray} noncePrefix The 8 byte nonce prefix, unique per stream
+       * @param {Object} cfg (Optional) SIV options
+       *
+       * @returns {STREAM.Encryptor}
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var encryptor = CryptoJS.STREAM.createEncryptor(key, noncePrefix);
+       *     var ciphertext1 = encryptor.seal(segment1);
+       *     var ciphertext2 = encryptor.seal(segment2, true);
+       */
+      createEncryptor: function(key, noncePrefix, cfg){
+          return this.Encryptor.create(SIV.create(key, cfg), noncePrefix);
+      },
+
+      /**
+       * Creates a STREAM decryptor using SIV.
+       *
+       * @param {WordArray} key The SIV key
+       * @param {WordArray} noncePrefix The nonce prefix that was used for encryption
+       * @param {Object} cfg (Optional) SIV options, e.g. throwOnAuthFailure
+       *
+       * @returns {STREAM.Decryptor}
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var decryptor = CryptoJS.STREAM.createDecryptor(key, noncePrefix);
+       *     var segment1 = decryptor.open(ciphertext1);
+       *     var segment2 = decryptor.open(ciphertext2, true);
+       */
+      createDecryptor: function(key, noncePrefix, cfg){
+          return this.Decryptor.create(SIV.create(key, cfg), noncePrefix);
+      },
+
+      /**
+       * Initializes a newly created STREAM encryptor or decryptor
+       *
+       * @param {SIV} siv A SIV (or PMACSIV) instance
+       * @param {WordArray} noncePrefix The 8 byte nonce prefix
+       * @param {number} firstSegment (Optional) The counter of the first segment, to resume a stream
+       * at a known segment (0 to 0xffffffff). Default: 0
+       *
+       * @example
+       *
+       *     var decryptor = CryptoJS.STREAM.Decryptor.create(CryptoJS.SIV.create(key), noncePrefix, 5);
+       */
+      init: function(siv, noncePrefix, firstSegment){
+          if (noncePrefix.sigBytes !== 8) {
+              throw new C.error.UnsupportedParameterError("STREAM nonce prefix must be 8 bytes long, got " + noncePrefix.sigBytes);
+          }
+          firstSegment = firstSegment || 0;
+          if (firstSegment < 0 || firstSegment > 0xffffffff || firstSegment % 1) {
+              throw new C.error.UnsupportedParameterError("STREAM segment counter must be an integer from 0 to 0xffffffff, got " + firstSegment);
+          }
+
+          this._siv = siv;
+          this._noncePrefix = noncePrefix.clone();
+          this._noncePrefix.clamp();
+          this._counter = firstSegment;
+          this._finished = false;
+      },
+
+      _adArray: function(ad, lastSegment){
+          if (this._finished) {
+              throw new C.error.CryptoError("STREAM is already finished");
+          }
+          // Like Miscreant, only the last segment may use the highest counter value
+          if (!lastSegment && this._counter === 0xffffffff) {
+              throw new C.error.LimitExceededError("STREAM segment counter overflow");
+          }
+
+          var nonce = this._noncePrefix.clone()
+              .concat(new WordArray.init([this._counter | 0]))
+              .concat(new WordArray.init([lastSegment ? 0x01000000 : 0x00000000], 1));
+
+          return [ ad || new WordArray.init(), nonce ];
+      },
+
+      _advance: function(lastSegment){
+          if (lastSegment) {
+              this._finished = true;
+          } else {
+              this._counter++;
+          }
+      }
+  });
+
+  STREAM.Encryptor = STREAM.extend({
+      /**
+       * Encrypts and authenticates the next segment.
+       *
+       * @param {WordArray|string} plaintext The segment (either WordArray or UTF-8 encoded string)
+       * @param {boolean} lastSegment (Optional) Whether this is the last segment of the stream
+       * @param {WordArray|string} ad (Optional) Additional data for this segment
+       *
+       * @returns {CipherParams} the sealed segment
+       */
+      seal: function(plaintext, lastSegment, ad){
+          var ciphertext = this._siv.encrypt(this._adArray(ad, lastSegment), plaintext);
+          this._advance(lastSegment);
+          return ciphertext;
+      }
+  });
+
+  STREAM.Decryptor = STREAM.extend({
+      /**
+       * Verifies and decrypts the next segment. The segment counter only
+       * advances when the segment is authentic.
+       *
+       * @param {CipherParams|WordArray|string} ciphertext The sealed segment, see SIV.decrypt
+       * @param {boolean} lastSegment (Optional) Whether this is the last segment of the stream
+       * @param {WordArray|string} ad (Optional) The additional data that was used for this segment
+       *
+       * @returns {WordArray|boolean} the segment plaintext or false if the authentication failed
+       */
+      open: function(ciphertext, lastSegment, ad){
+          var plaintext = this._siv.decrypt(this._adArray(ad, lastSegment), ciphertext);
+          if (plaintext !== false) {
+              this._advance(lastSegment);
+          }
+          return plaintext;
+      }
+  });
+
+
+  /**
+   * EAX authenticated encryption built from OMAC (CMAC) and CTR mode. The
+   * tag is appended to the ciphertext.
+   */
+  var EAX = C.EAX = Base.extend({
+      /**
+       * Initializes a newly created EAX instance
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} key The secret key
+       * @param {Object} cfg (Optional) Options: tagLength is the tag length in bytes (1 to 16, default 16),
+       * throwOnAuthFailure makes decrypt throw an AuthenticationError instead of returning false
+       *
+       * @example
+       *
+       *     var eax = CryptoJS.EAX.create(key);
+       *     var eax = CryptoJS.EAX.create(key, { tagLength: 8 });
+       */
+      init: function(key, cfg){
+          var tagLength = (cfg && cfg.tagLength) || 16;
+          if (tagLength < 1 || tagLength > 16 || tagLength % 1) {
+              throw new C.error.UnsupportedParameterError("Unsupported EAX tag length: " + tagLength);
+          }
+          key = ext.toWordArray(key);
+          checkAesKey(key, "EAX");
+
+          this._key = key;
+          this._tagLength = tagLength;
+          this._throwOnAuthFailure = cfg && cfg.throwOnAuthFailure;
+          this._cmac = CMAC.create(key);
+      },
+
+      /**
+       * Computes OMAC^t(message), which is the CMAC of the tweak block [t]_128 followed by the message.
+       */
+      _omac: function(t, message){
+          this._cmac.update(new WordArray.init([0x00000000, 0x00000000, 0x00000000, t]));
+          return this._cmac.finalize(message);
+      },
+
+      /**
+       * Encrypts in counter mode, starting from the nonce tag and incrementing
+       * the whole block as a big-endian 128-bit counter.
+       */
+      _ctr: function(nonceTag, message){
+          return C.AES.encrypt(ext.toWordArray(message), this._key, {
+              iv: nonceTag,
+              mode: C.mode.CTR,
+              padding: C.pad.NoPadding,
+              counterWidth: 128
+          }).ciphertext;
+      },
+
+      _tag: function(nonceTag, adArray, ciphertext){
+          var tag = ext.xor(ext.xor(this._omac(2, ciphertext), nonceTag), this._omac(1, concatAD(adArray)));
+          return ext.leftmostBytes(tag, this._tagLength);
+      },
+
+      /**
+       * Encrypts and authenticates the plaintext together with the header.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer|string} nonce The nonce of any length
+       * @param {Array} adArray (Optional) Additional data (binary or UTF-8 encoded string) that is concatenated and authenticated as the header
+       * @param {WordArray|Uint8Array|ArrayBuffer|string} plaintext The message to encrypt (binary or UTF-8 encoded string)
+       *
+       * @returns {WordArray} ciphertext followed by the tag
+       */
+      encrypt: function(nonce, adArray, plaintext){
+          if (plaintext === undefined) {
+              plaintext = adArray;
+              adArray = [];
+          }
+
+          var nonceTag = this._omac(0, ext.toWordArray(nonce));
+          var ciphertext = this._ctr(nonceTag, plaintext);
+
+          return ciphertext.concat(this._tag(nonceTag, adArray, ciphertext));
+      },
+
+      /**
+       * Verifies and decrypts the ciphertext.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer|string} nonce The nonce that was used for encryption
+       * @param {Array} adArray (Optional) The additional data that was used for encryption
+       * @param {WordArray|Uint8Array|ArrayBuffer} ciphertext The ciphertext followed by the tag
+       *
+       * @returns {WordArray|boolean} plaintext or false if the authentication failed
+       */
+      decrypt: function(nonce, adArray, ciphertext){
+          if (ciphertext === undefined) {
+              ciphertext = adArray;
+              adArray = [];
+          }
+          ciphertext = ext.toWordArray(ciphertext);
+
+          var tagLength = this._tagLength;
+          if (ciphertext.sigBytes < tagLength) {
+              return C.error.authenticationFailed(this._throwOnAuthFailure, "EAX ciphertext is shorter than the tag");
+          }
+
+          var tag = ext.rightmostBytes(ciphertext, tagLength);
+          ciphertext = ext.leftmostBytes(ciphertext, ciphertext.sigBytes - tagLength);
+
+          var nonceTag = this._omac(0, ext.toWordArray(nonce));
+          if (!ext.equals(tag, this._tag(nonceTag, adArray, ciphertext))) {
+              return C.error.authenticationFailed(this._throwOnAuthFailure, "EAX authentication failed");
+          }
+
+          return this._ctr(nonceTag, ciphertext);
+      }
+  });
+
+  // Shortcuts
+  var Base = C.lib.Base;
+  var WordArray = C.lib.WordArray;
+  var ext = C.ext;
+
+  /**
+   * Counter with CBC-MAC (RFC 3610, NIST SP 800-38C). The tag is appended to
+   * the ciphertext.
+   */
+  var CCM = C.CCM = Base.extend({
+      /**
+       * Initializes a newly created CCM instance
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} key The secret key
+       * @param {Object} cfg (Optional) Options: tagLength is the tag length in bytes (4, 6, 8, 10, 12, 14 or 16, default 16),
+       * throwOnAuthFailure makes decrypt throw an AuthenticationError instead of returning false
+       *
+       * @example
+       *
+       *     var ccm = CryptoJS.CCM.create(key);
+       *     var ccm = CryptoJS.CCM.create(key, { tagLength: 8 });
+       */
+      init: function(key, cfg){
+          var tagLength = (cfg && cfg.tagLength) || 16;
+          if (tagLength < 4 || tagLength > 16 || tagLength % 2) {
+              throw new C.error.UnsupportedParameterError("CCM tag length must be 4, 6, 8, 10, 12, 14 or 16 bytes, got " + tagLength);
+          }
+          key = ext.toWordArray(key);
+          checkAesKey(key, "CCM");
+
+          this._key = key;
+          this._tagLength = tagLength;
+          this._throwOnAuthFailure = cfg && cfg.throwOnAuthFailure;
+      },
+
+      /**
+       * Formats the first counter block A_i of the given nonce, see RFC 3610 section 2.3.
+       */
+      _counterBlock: function(nonce, i){
+          var L = 15 - nonce.sigBytes;
+          return encodeInt(L - 1, 1).concat(nonce).concat(encodeInt(i, L));
+      },
+
+      _ctr: function(nonce, i, message){
+          return C.AES.encrypt(message, this._key, {
+              iv: this._counterBlock(nonce, i),
+              mode: C.mode.CTR,
+              padding: C.pad.NoPadding
+          }).ciphertext;
+      },
+
+      /**
+       * Computes the unencrypted tag T as the CBC-MAC over B_0, the
+       * encoded additional data and the plaintext, see RFC 3610 section 2.2.
+       */
+      _mac: function(nonce, ad, plaintext){
+          var M = this._tagLength;
+          var L = 15 - nonce.sigBytes;
+          var flags = (ad.sigBytes ? 64 : 0) + 8 * ((M - 2) / 2) + (L - 1);
+
+          var macInput = encodeInt(flags, 1).concat(nonce).concat(encodeInt(plaintext.sigBytes, L));
+          if (ad.sigBytes) {
+              if (ad.sigBytes < 0xff00) {
+                  macInput.concat(encodeInt(ad.sigBytes, 2));
+              } else {
+                  macInput.concat(encodeInt(0xfffe, 2)).concat(encodeInt(ad.sigBytes, 4));
+              }
+              zeroPad(macInput.concat(ad));
+          }
+          zeroPad(macInput.concat(plaintext));
+
+          var cbc = C.AES.encrypt(macInput, this._key, {
+              iv: ext.const_Zero,
+              mode: C.mode.CBC,
+              padding: C.pad.NoPadding
+          }).ciphertext;
+
+          return ext.leftmostBytes(ext.rightmostBytes(cbc, 16), M);
+      },
+
+      _validate: function(nonce, message){
+          if (nonce.sigBytes < 7 || nonce.sigBytes > 13) {
+              throw new C.error.UnsupportedParameterError("CCM nonce must be 7 to 13 bytes long, got " + nonce.sigBytes);
+          }
+          if (message.sigBytes >= Math.pow(2, 8 * (15 - nonce.sigBytes))) {
+              throw new C.error.UnsupportedParameterError("CCM message is too long for a " + nonce.sigBytes + " byte nonce");
+          }
+      },
+
+      /**
+       * Encrypts and authenticates the plaintext together with the additional data.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} nonce The nonce (7 to 13 bytes)
+       * @param {Array} adArray (Optional) Additional data (binary or UTF-8 encoded string) that is concatenated and authenticated
+       * @param {WordArray|Uint8Array|ArrayBuffer|string} plaintext The message to encrypt (binary or UTF-8 encoded string)
+       *
+       * @returns {WordArray} ciphertext followed by the tag
+       */
+      encrypt: function(nonce, adArray, plaintext){
+          if (plaintext === undefined) {
+              plaintext = adArray;
+              adArray = [];
+          }
+          nonce = ext.toWordArray(nonce);
+          plaintext = ext.toWordArray(plaintext);
+          this._validate(nonce, plaintext);
+
+          var tag = this._mac(nonce, concatAD(adArray), plaintext);
+
+          return this._ctr(nonce, 1, plaintext).concat(this._ctr(nonce, 0, tag));
+      },
+
+      /**
+       * Verifies and decrypts the ciphertext.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} nonce The nonce that was used for encryption
+       * @param {Array} adArray (Optional) The additional data that was used for encryption
+       * @param {WordArray|Uint8Array|ArrayBuffer} ciphertext The ciphertext followed by the tag
+       *
+       * @returns {WordArray|boolean} plaintext or false if the authentication failed
+       */
+      decrypt: function(nonce, adArray, ciphertext){
+          if (ciphertext === undefined) {
+              ciphertext = adArray;
+              adArray = [];
+          }
+          nonce = ext.toWordArray(nonce);
+          ciphertext = ext.toWordArray(ciphertext);
+
+          var tagLength = this._tagLength;
+          if (ciphertext.sigBytes < tagLength) {
+              return C.error.authenticationFailed(this._throwOnAuthFailure, "CCM ciphertext is shorter than the tag");
+          }
+          this._validate(nonce, ciphertext);
+
+          var tag = this._ctr(nonce, 0, ext.rightmostBytes(ciphertext, tagLength));
+          var plaintext = this._ctr(nonce, 1, ext.leftmostBytes(ciphertext, ciphertext.sigBytes - tagLength));
+
+          if (ext.equals(tag, this._mac(nonce, concatAD(adArray), plaintext))) {
+              return plaintext;
+          } else {
+              return C.error.authenticationFailed(this._throwOnAuthFailure, "CCM authentication failed");
+          }
+      }
+  });
+
+  /**
+   * Encodes a non-negative integer as a big-endian WordArray of nBytes bytes.
+   */
+  function encodeInt(n, nBytes) {
+      var wordArray = new WordArray.init([], nBytes);
+      for (var i = nBytes - 1; i >= 0; i--) {
+          wordArray.words[i >>> 2] |= (n % 256) << (24 - (i % 4) * 8);
+          n = Math.floor(n / 256);
+      }
+      return wordArray;
+  }
+
+  /**
+   * Appends zero bytes up to the next multiple of the block size.
+   */
+  function zeroPad(wordArray) {
+      wordArray.clamp();
+      wordArray.concat(new WordArray.init([0, 0, 0, 0], (16 - wordArray.sigBytes % 16) % 16));
+      return wordArray;
+  }
+
+  function concatAD(adArray) {
+      var ad = new WordArray.init();
+      Array.prototype.forEach.call(adArray || [], function(adItem){
+          adItem = ext.toWordArray(adItem).clone();
+          adItem.clamp();
+          ad.concat(adItem);
+      });
+      return ad;
+  }
+
+  // Shortcuts
+  var Base = C.lib.Base;
+  var WordArray = C.lib.WordArray;
+  var AES = C.algo.AES;
+  var ext = C.ext;
+
+  /**
+   * AES-GCM-SIV nonce misuse-resistant authenticated encryption (RFC 8452).
+   *
+   * It is used like SIV, but the last element of the additional data array
+   * must be the 12 byte nonce. The remaining elements are concatenated and
+   * authenticated as the additional data. The tag is appended to the
+   * ciphertext.
+   */
+  var GCMSIV = C.GCMSIV = Base.extend({
+      /**
+       * Initializes a newly created AES-GCM-SIV instance
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} key The key-generating key (16 or 32 bytes)
+       * @param {Object} cfg (Optional) Options: throwOnAuthFailure makes decrypt throw an AuthenticationError instead of returning false
+       *
+       * @example
+       *
+       *     var gcmsiv = CryptoJS.GCMSIV.create(key);
+       */
+      init: function(key, cfg){
+          key = ext.toWordArray(key);
+          if (key.sigBytes !== 16 && key.sigBytes !== 32) {
+              throw new C.error.KeyLengthError("AES-GCM-SIV key must be 16 or 32 bytes long, got " + key.sigBytes);
+          }
+          this._throwOnAuthFailure = cfg && cfg.throwOnAuthFailure;
+          this._keyBytes = key.sigBytes;
+          this._aes = AES.createEncryptor(key);
+      },
+
+      /**
+       * Derives the per-nonce message-authentication and message-encryption keys.
+       */
+      _deriveKeys: function(nonce){
+          var words = [];
+          for (var i = 0; i < (this._keyBytes === 16 ? 4 : 6); i++) {
+              // little-endian 32-bit counter followed by the nonce
+              var block = [i << 24, nonce.words[0], nonce.words[1], nonce.words[2]];
+              this._aes.encryptBlock(block, 0);
+              words.push(block[0], block[1]);
+          }
+
+          return {
+              authKey: words.slice(0, 4),
+              encAes: AES.createEncryptor(new WordArray.init(words.slice(4), this._keyBytes))
+          };
+      },
+
+      _splitAD: function(adArray){
+          var nonce = adArray && ext.toWordArray(adArray[adArray.length - 1]);
+          if (!nonce || nonce.sigBytes !== 12) {
+              throw new C.error.UnsupportedParameterError("AES-GCM-SIV nonce must be 12 bytes long, got " + (nonce ? nonce.sigBytes : 0));
+          }
+          nonce = nonce.clone();
+          nonce.clamp();
+
+          return {
+              nonce: nonce,
+              ad: concatAD(Array.prototype.slice.call(adArray, 0, -1))
+          };
+      },
+
+      _tag: function(keys, nonce, ad, plaintext){
+          var s = polyval(keys.authKey, ad, plaintext);
+          for (var i = 0; i < 3; i++) {
+              s[i] ^= nonce.words[i];
+          }
+          s[3] &= 0xffffff7f;
+          keys.encAes.encryptBlock(s, 0);
+
+          return new WordArray.init(s);
+      },
+
+      /**
+       * Encrypts in counter mode with the little-endian 32-bit counter in the
+       * first word, starting from the tag with the most significant bit set.
+       */
+      _ctr: function(keys, tag, data){
+          var words = data.words.slice(0);
+          var counter = tag.words.slice(0);
+          counter[3] |= 0x80;
+
+          for (var offset = 0; offset * 4 < data.sigBytes; offset += 4) {
+              var keystream = counter.slice(0);
+              keys.encAes.encryptBlock(keystream, 0);
+              for (var i = 0; i < 4; i++) {
+                  words[offset + i] ^= keystream[i];
+              }
+              counter[0] = swapEndian((swapEndian(counter[0]) + 1) | 0);
+          }
+
+          var result = new WordArray.init(words, data.sigBytes);
+          result.clamp();
+          return result;
+      },
+
+      /**
+       * Encrypts and authenticates the plaintext.
+       *
+       * @param {Array} adArray Additional data (binary or UTF-8 encoded string) with the 12 byte nonce as the last element
+       * @param {WordArray|Uint8Array|ArrayBuffer|string} plaintext The message to encrypt (binary or UTF-8 encoded string)
+       *
+       * @returns {WordArray} ciphertext followed by the tag
+       */
+      encrypt: function(adArray, plaintext){
+          plaintext = ext.toWordArray(plaintext).clone();
+          plaintext.clamp();
+
+          var split = this._splitAD(adArray);
+          var keys = this._deriveKeys(split.nonce);
+          var tag = this._tag(keys, split.nonce, split.ad, plaintext);
+
+          return this._ctr(keys, tag, plaintext).concat(tag);
+      },
+
+      /**
+       * Verifies and decrypts the ciphertext.
+       *
+       * @param {Array} adArray Additional data with the 12 byte nonce as the last element
+       * @param {WordArray|Uint8Array|ArrayBuffer} ciphertext The ciphertext followed by the tag
+       *
+       * @returns {WordArray|boolean} plaintext or false if the authentication failed
+       */
+      decrypt: function(adArray, ciphertext){
+          ciphertext = ext.toWordArray(ciphertext);
+          if (ciphertext.sigBytes < 16) {
+              return C.error.authenticationFailed(this._throwOnAuthFailure, "AES-GCM-SIV ciphertext is shorter than the tag");
+          }
+
+          var split = this._splitAD(adArray);
+          var keys = this._deriveKeys(split.nonce);
+          var tag = ext.rightmostBytes(ciphertext, 16);
+          var plaintext = this._ctr(keys, tag, ext.leftmostBytes(ciphertext, ciphertext.sigBytes - 16));
+
+          if (ext.equals(tag, this._tag(keys, split.nonce, split.ad, plaintext))) {
+              return plaintext;
+          } else {
+              return C.error.authenticationFailed(this._throwOnAuthFailure, "AES-GCM-SIV authentication failed");
+          }
+      }
+  });
+
+  /**
+   * Computes POLYVAL over the zero-padded additional data and plaintext
+   * followed by their little-endian bit lengths. POLYVAL is evaluated through
+   * GHASH, see RFC 8452 appendix A.
+   */
+  function polyval(authKey, ad, plaintext) {
+      // mulX_GHASH(ByteReverse(H))
+      var h = reverseBytes(authKey);
+      var lsb = h[3] & 1;
+      h[3] = (h[3] >>> 1) | (h[2] << 31);
+      h[2] = (h[2] >>> 1) | (h[1] << 31);
+      h[1] = (h[1] >>> 1) | (h[0] << 31);
+      h[0] = h[0] >>> 1;
+      if (lsb) {
+          h[0] ^= 0xe1000000;
+      }
+
+      var y = [0, 0, 0, 0];
+      var absorb = function(words, nBytes){
+          for (var offset = 0; offset * 4 < nBytes; offset += 4) {
+              var block = reverseBytes([words[offset] | 0, words[offset + 1] | 0, words[offset + 2] | 0, words[offset + 3] | 0]);
+              for (var i = 0; i < 4; i++) {
+                  y[i] ^= block[i];
+              }
+              C.mode.GCM._multiply(y, h);
+          }
+      };
+
+      absorb(ad.words, ad.sigBytes);
+      absorb(plaintext.words, plaintext.sigBytes);
+      absorb([
+          swapEndian((ad.sigBytes * 8) | 0), swapEndian(Math.floor(ad.sigBytes / 0x20000000)),
+          swapEndian((plaintext.sigBytes * 8) | 0), swapEndian(Math.floor(plaintext.sigBytes / 0x20000000))
+      ], 16);
+
+      return reverseBytes(y);
+  }
+
+  function swapEndian(word) {
+      return (word << 24) | ((word & 0xff00) << 8) | ((word >>> 8) & 0xff00) | (word >>> 24);
+  }
+
+  function reverseBytes(block) {
+      return [swapEndian(block[3]), swapEndian(block[2]), swapEndian(block[1]), swapEndian(block[0])];
+  }
+
+  // Shortcuts
+  var Base = C.lib.Base;
+  var WordArray = C.lib.WordArray;
+  var AES = C.algo.AES;
+  var ext = C.ext;
+  var OneZeroPadding = C.pad.OneZeroPadding;
+
+  /**
+   * OCB3 authenticated encryption (RFC 7253). The tag is appended to the
+   * ciphertext.
+   */
+  var OCB = C.OCB = Base.extend({
+      /**
+       * Initializes a newly created OCB instance
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} key The secret key
+       * @param {Object} cfg (Optional) Options: tagLength is the tag length in bytes (1 to 16, default 16),
+       * throwOnAuthFailure makes decryption throw an AuthenticationError instead of returning false
+       *
+       * @example
+       *
+       *     var ocb = CryptoJS.OCB.create(key);
+       *     var ocb = CryptoJS.OCB.create(key, { tagLength: 12 });
+       */
+      init: function(key, cfg){
+          var tagLength = (cfg && cfg.tagLength) || 16;
+          if (tagLength < 1 || tagLength > 16 || tagLength % 1) {
+              throw new C.error.UnsupportedParameterError("Unsupported OCB tag length: " + tagLength);
+          }
+          key = ext.toWordArray(key);
+          checkAesKey(key, "OCB");
+          this._tagLength = tagLength;
+          this._throwOnAuthFailure = cfg && cfg.throwOnAuthFailure;
+          this._aes = AES.createEncryptor(key);
+
+          // L_*, L_$ and L_0, further L_i are computed on demand
+          var lStar = ext.const_Zero.clone();
+          this._aes.encryptBlock(lStar.words, 0);
+          this._lStar = lStar;
+          this._lDollar = ext.dbl(lStar.clone());
+          this._l = [ext.dbl(this._lDollar.clone())];
+      },
+
+      /**
+       * Returns L_{ntz(i)} for the block index i.
+       */
+      _lNtz: function(i){
+          var n = 0;
+          while (!(i & 1)) {
+              i >>>= 1;
+              n++;
+          }
+          while (this._l.length <= n) {
+              this._l.push(ext.dbl(this._l[this._l.length - 1].clone()));
+          }
+          return this._l[n];
+      },
+
+      /**
+       * Computes Offset_0 from the nonce, see RFC 7253 section 4.2.
+       */
+      _initialOffset: function(nonce){
+          if (nonce.sigBytes < 6 || nonce.sigBytes > 15) {
+              throw new C.error.UnsupportedParameterError("OCB nonce must be 6 to 15 bytes long, got " + nonce.sigBytes);
+          }
+
+          // Nonce = num2str(TAGLEN mod 128, 7) || zeros || 1 || N
+          var formatted = new WordArray.init([0, 0, 0, 0], 15 - nonce.sigBytes)
+              .concat(new WordArray.init([0x01000000], 1))
+              .concat(nonce);
+          formatted.clamp();
+          formatted.words[0] |= ((this._tagLength * 8) % 128) << 25;
+          var bottom = formatted.words[3] & 0x3f;
+
+          var kTop = formatted.clone();
+          kTop.words[3] &= ~0x3f;
+          this._aes.encryptBlock(kTop.words, 0);
+
+          // Stretch = Ktop || (Ktop[1..64] xor Ktop[9..72])
+          var k = kTop.words;
+          var stretch = new WordArray.init(k.concat(
+              k[0] ^ ((k[0] << 8) | (k[1] >>> 24)),
+              k[1] ^ ((k[1] << 8) | (k[2] >>> 24))
+          ));
+          ext.bitshift(stretch, bottom);
+
+          return new WordArray.init(stretch.words.slice(0, 4));
+      },
+
+      /**
+       * Computes HASH(K, A), see RFC 7253 section 4.1.
+       */
+      _hash: function(ad){
+          var sum = ext.const_Zero.clone();
+          var offset = ext.const_Zero.clone();
+
+          ad = ad.clone();
+          for (var i = 1; ad.sigBytes >= 16; i++) {
+              var block = ext.shiftBytes(ad, 16);
+              ext.xor(offset, this._lNtz(i));
+              ext.xor(block, offset);
+              this._aes.encryptBlock(block.words, 0);
+              ext.xor(sum, block);
+          }
+          if (ad.sigBytes > 0) {
+              OneZeroPadding.pad(ad, 4);
+              ext.xor(offset, this._lStar);
+              ext.xor(ad, offset);
+              this._aes.encryptBlock(ad.words, 0);
+              ext.xor(sum, ad);
+          }
+
+          return sum;
+      },
+
+      /**
+       * Creates a streaming encryptor.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} nonce The nonce (6 to 15 bytes)
+       * @param {Array} adArray (Optional) Additional data (binary or UTF-8 encoded string) that is concatenated and authenticated
+       *
+       * @returns {OCBStream} encryptor whose finalize appends the tag
+       *
+       * @example
+       *
+       *     var encryptor = ocb.createEncryptor(nonce, [ ad ]);
+       *     var ciphertext = encryptor.update(chunk1).concat(encryptor.update(chunk2)).concat(encryptor.finalize());
+       */
+      createEncryptor: function(nonce, adArray){
+          return OCBStream.create(this, nonce, adArray, false);
+      },
+
+      /**
+       * Creates a streaming decryptor. The plaintext returned by update is
+       * not authenticated until finalize succeeds.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} nonce The nonce that was used for encryption
+       * @param {Array} adArray (Optional) The additional data that was used for encryption
+       *
+       * @returns {OCBStream} decryptor whose finalize returns false if the authentication failed
+       */
+      createDecryptor: function(nonce, adArray){
+          return OCBStream.create(this, nonce, adArray, true);
+      },
+
+      /**
+       * Encrypts and authenticates the plaintext together with the additional data.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} nonce The nonce (6 to 15 bytes)
+       * @param {Array} adArray (Optional) Additional data (binary or UTF-8 encoded string) that is concatenated and authenticated
+       * @param {WordArray|Uint8Array|ArrayBuffer|string} plaintext The message to encrypt (binary or UTF-8 encoded string)
+       *
+       * @returns {WordArray} ciphertext followed by the tag
+       */
+      encrypt: function(nonce, adArray, plaintext){
+          if (plaintext === undefined) {
+              plaintext = adArray;
+              adArray = [];
+          }
+          return this.createEncryptor(nonce, adArray).finalize(plaintext);
+      },
+
+      /**
+       * Verifies and decrypts the ciphertext.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} nonce The nonce that was used for encryption
+       * @param {Array} adArray (Optional) The additional data that was used for encryption
+       * @param {WordArray|Uint8Array|ArrayBuffer} ciphertext The ciphertext followed by the tag
+       *
+       * @returns {WordArray|boolean} plaintext or false if the authentication failed
+       */
+      decrypt: function(nonce, adArray, ciphertext){
+          if (ciphertext === undefined) {
+              ciphertext = adArray;
+              adArray = [];
+          }
+          return this.createDecryptor(nonce, adArray).finalize(ciphertext);
+      }
+  });
+
+  /**
+   * Incremental OCB encryption or decryption, see OCB.createEncryptor and
+   * OCB.createDecryptor.
+   */
+  var OCBStream = C.OCB.Stream = Base.extend({
+      init: function(ocb, nonce, adArray, decrypting){
+          this._ocb = ocb;
+          this._decrypting = decrypting;
+          this._offset = ocb._initialOffset(ext.toWordArray(nonce));
+          this._checksum = ext.const_Zero.clone();
+          this._adHash = ocb._hash(concatAD(adArray));
+          this._buffer = new WordArray.init();
+          this._i = 0;
+      },
+
+      /**
+       * Adds data to be encrypted or decrypted.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer|string} dataUpdate The data (binary or UTF-8 encoded string)
+       *
+       * @returns {WordArray} the data processed so far
+       */
+      update: function(dataUpdate){
+          // Shortcuts
+          var ocb = this._ocb;
+          var aes = ocb._aes;
+          var buffer = this._buffer;
+          var offset = this._offset;
+
+          if (dataUpdate) {
+              buffer.concat(ext.toWordArray(dataUpdate));
+          }
+
+          // A decryptor keeps the tag in the buffer
+          var keep = this._decrypting ? ocb._tagLength : 0;
+
+          var processed = new WordArray.init();
+          while (buffer.sigBytes >= 16 + keep) {
+              var block = ext.shiftBytes(buffer, 16);
+              ext.xor(offset, ocb._lNtz(++this._i));
+              if (!this._decrypting) {
+                  ext.xor(this._checksum, block);
+              }
+
+              ext.xor(block, offset);
+              if (this._decrypting) {
+                  aes.decryptBlock(block.words, 0);
+              } else {
+                  aes.encryptBlock(block.words, 0);
+              }
+              ext.xor(block, offset);
+
+              if (this._decrypting) {
+                  ext.xor(this._checksum, block);
+              }
+              processed.concat(block);
+          }
+
+          return processed;
+      },
+
+      /**
+       * Processes the remaining data and completes the authentication.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer|string} dataUpdate (Optional) The final data
+       *
+       * @returns {WordArray|boolean} the remaining ciphertext followed by the tag, or the
+       * remaining plaintext. Decryption returns false if the authentication failed.
+       */
+      finalize: function(dataUpdate){
+          // Shortcuts
+          var ocb = this._ocb;
+          var aes = ocb._aes;
+          var tagLength = ocb._tagLength;
+          var offset = this._offset;
+          var checksum = this._checksum;
+
+          var processed = this.update(dataUpdate);
+          var last = this._buffer;
+
+          if (this._decrypting) {
+              if (last.sigBytes < tagLength) {
+                  return C.error.authenticationFailed(ocb._throwOnAuthFailure, "OCB ciphertext is shorter than the tag");
+              }
+              var tag = ext.rightmostBytes(last, tagLength);
+              last = ext.leftmostBytes(last, last.sigBytes - tagLength);
+          }
+
+          if (last.sigBytes > 0) {
+              ext.xor(offset, ocb._lStar);
+              var pad = offset.clone();
+              aes.encryptBlock(pad.words, 0);
+
+              if (!this._decrypting) {
+                  ext.xor(checksum, padded(last));
+              }
+              last = ext.leftmostBytes(ext.xor(padded(last), pad), last.sigBytes);
+              if (this._decrypting) {
+                  ext.xor(checksum, padded(last));
+              }
+              processed.concat(last);
+          }
+
+          var expectedTag = ext.xor(ext.xor(checksum, offset), ocb._lDollar);
+          aes.encryptBlock(expectedTag.words, 0);
+          expectedTag = ext.leftmostBytes(ext.xor(expectedTag, this._adHash), tagLength);
+
+          if (!this._decrypting) {
+              return processed.concat(expectedTag);
+          }
+          if (ext.equals(tag, expectedTag)) {
+              return processed;
+          } else {
+              return C.error.authenticationFailed(ocb._throwOnAuthFailure, "OCB authentication failed");
+          }
+      }
+  });
+
+  /**
+   * Returns a partial block followed by a 1 bit and zero bits as a new WordArray.
+   */
+  function padded(partial) {
+      var block = partial.clone();
+      block.clamp();
+      OneZeroPadding.pad(block, 4);
+      return block;
+  }
+
+  // Shortcuts
+  var WordArray = C.lib.WordArray;
+  var AES = C.algo.AES;
+  var ext = C.ext;
+
+  // RFC 3394 default initial value and RFC 5649 alternative initial value prefix
+  var KW_IV = 0xA6A6A6A6;
+  var KWP_IV = 0xA65959A6;
+
+  /**
+   * AES Key Wrap (RFC 3394).
+   *
+   * Wraps key data of at least 16 bytes in multiples of 8 bytes. The result is
+   * compatible with WebCrypto's AES-KW and OpenSSL's id-aesXXX-wrap ciphers.
+   * Unwrapping always throws an AuthenticationError if the integrity check
+   * fails, because a corrupt key must never be used.
+   */
+  var AESKW = C.AESKW = {
+      /**
+       * Wraps key data with a key-encryption key.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} kek The key-encryption key (16, 24 or 32 bytes)
+       * @param {WordArray|Uint8Array|ArrayBuffer} keyData The key data to wrap
+       *
+       * @returns {WordArray} the wrapped key which is 8 bytes longer than the key data
+       *
+       * @throws KeyLengthError If the key-encryption key has an invalid length
+       * @throws MalformedInputError If the key data is shorter than 16 bytes or not a multiple of 8 bytes
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var wrapped = CryptoJS.AESKW.wrap(kek, dataKey);
+       */
+      wrap: function(kek, keyData){
+          keyData = ext.toWordArray(keyData);
+          if (keyData.sigBytes < 16 || keyData.sigBytes % 8 !== 0) {
+              throw new C.error.MalformedInputError("AES-KW key data must be a multiple of 8 bytes and at least 16 bytes long, got " + keyData.sigBytes);
+          }
+
+          return wrapBlocks(aesKeyWrapCipher(kek, "AES-KW"), [KW_IV, KW_IV], keyData);
+      },
+
+      /**
+       * Unwraps a wrapped key and checks its integrity.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} kek The key-encryption key (16, 24 or 32 bytes)
+       * @param {WordArray|Uint8Array|ArrayBuffer} wrappedKey The wrapped key
+       *
+       * @returns {WordArray} the key data
+       *
+       * @throws KeyLengthError If the key-encryption key has an invalid length
+       * @throws MalformedInputError If the wrapped key is shorter than 24 bytes or not a multiple of 8 bytes
+       * @throws AuthenticationError If the integrity check fails
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var dataKey = CryptoJS.AESKW.unwrap(kek, wrapped);
+       */
+      unwrap: function(kek, wrappedKey){
+          wrappedKey = ext.toWordArray(wrappedKey);
+          if (wrappedKey.sigBytes < 24 || wrappedKey.sigBytes % 8 !== 0) {
+              throw new C.error.MalformedInputError("AES-KW wrapped key must be a multiple of 8 bytes and at least 24 bytes long, got " + wrappedKey.sigBytes);
+          }
+
+          var result = unwrapBlocks(aesKeyWrapCipher(kek, "AES-KW"), wrappedKey);
+          if (((result.a[0] ^ KW_IV) | (result.a[1] ^ KW_IV)) !== 0) {
+              throw new C.error.AuthenticationError("AES-KW integrity check failed");
+          }
+          return result.keyData;
+      }
+  };
+
+  /**
+   * AES Key Wrap with Padding (RFC 5649).
+   *
+   * Wraps key data of any non-zero length. The result is compatible with
+   * OpenSSL's id-aesXXX-wrap-pad ciphers. Unwrapping throws an
+   * AuthenticationError if the integrity check, the length indicator or the
+   * padding is wrong; all three are reported with the same error.
+   */
+  var AESKWP = C.AESKWP = {
+      /**
+       * Wraps key data with a key-encryption key.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} kek The key-encryption key (16, 24 or 32 bytes)
+       * @param {WordArray|Uint8Array|ArrayBuffer} keyData The key data to wrap
+       *
+       * @returns {WordArray} the wrapped key
+       *
+       * @throws KeyLengthError If the key-encryption key has an invalid length
+       * @throws MalformedInputError If the key data is empty
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var wrapped = CryptoJS.AESKWP.wrap(kek, CryptoJS.enc.Hex.parse("466f7250617369"));
+       */
+      wrap: function(kek, keyData){
+          keyData = ext.toWordArray(keyData);
+          var length = keyData.sigBytes;
+          if (length === 0) {
+              throw new C.error.MalformedInputError("AES-KWP key data must not be empty");
+          }
+
+          var aes = aesKeyWrapCipher(kek, "AES-KWP");
+          var a = [KWP_IV, length];
+
+          var padded = keyData.clone();
+          padded.clamp();
+          padded.concat(new WordArray.init([0, 0], (8 - length % 8) % 8));
+
+          if (padded.sigBytes === 8) {
+              // A single semiblock is encrypted together with the initial value
+              var block = [a[0], a[1], padded.words[0] | 0, padded.words[1] | 0];
+              aes.encryptBlock(block, 0);
+              return new WordArray.init(block, 16);
+          }
+          return wrapBlocks(aes, a, padded);
+      },
+
+      /**
+       * Unwraps a wrapped key and checks its integrity, length and padding.
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} kek The key-encryption key (16, 24 or 32 bytes)
+       * @param {WordArray|Uint8Array|ArrayBuffer} wrappedKey The wrapped key
+       *
+       * @returns {WordArray} the key data
+       *
+       * @throws KeyLengthError If the key-encryption key has an invalid length
+       * @throws MalformedInputError If the wrapped key is shorter than 16 bytes or not a multiple of 8 bytes
+       * @throws AuthenticationError If the integrity check fails
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var dataKey = CryptoJS.AESKWP.unwrap(kek, wrapped);
+       */
+      unwrap: function(kek, wrappedKey){
+          wrappedKey = ext.toWordArray(wrappedKey);
+          if (wrappedKey.sigBytes < 16 || wrappedKey.sigBytes % 8 !== 0) {
+              throw new C.error.MalformedInputError("AES-KWP wrapped key must be a multiple of 8 bytes and at least 16 bytes long, got " + wrappedKey.sigBytes);
+          }
+
+          var aes = aesKeyWrapCipher(kek, "AES-KWP");
+          var a, keyData;
+          if (wrappedKey.sigBytes === 16) {
+              var block = wrappedKey.clone();
+              block.clamp();
+              aes.decryptBlock(block.words, 0);
+              a = block.words.slice(0, 2);
+              keyData = new WordArray.init(block.words.slice(2, 4), 8);
+          } else {
+              var result = unwrapBlocks(aes, wrappedKey);
+              a = result.a;
+              keyData = result.keyData;
+          }
+
+          // Check the initial value, the length indicator and the padding bytes
+          // without returning early, so that the failure cause isn't observable.
+          var length = a[1] >>> 0;
+          var paddedLength = keyData.sigBytes;
+          var inRange = length > paddedLength - 8 && length <= paddedLength;
+          var diff = (a[0] ^ KWP_IV) | (inRange ? 0 : 1);
+          for (var i = paddedLength - 8; i < paddedLength; i++) {
+              var byte = (keyData.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+              diff |= i >= length ? byte : 0;
+          }
+          if (diff !== 0) {
+              throw new C.error.AuthenticationError("AES-KWP integrity check failed");
+          }
+
+          keyData.sigBytes = length;
+          keyData.clamp();
+          return keyData;
+      }
+  };
+
+  /**
+   * Checks the key-encryption key and returns an AES instance for the raw
+   * block functions.
+   */
+  function aesKeyWrapCipher(kek, name) {
+      kek = ext.toWordArray(kek);
+      checkAesKey(kek, name);
+      return AES.createEncryptor(kek);
+  }
+
+  /**
+   * The wrapping process W of RFC 3394 section 2.2.1 applied to the
+   * semiblocks of keyData with the initial value a (two words).
+   */
+  function wrapBlocks(aes, a, keyData) {
+      var r = keyData.clone();
+      r.clamp();
+      var words = r.words;
+      var n = r.sigBytes / 8;
+      var block = [];
+
+      for (var j = 0; j < 6; j++) {
+          for (var i = 0; i < n; i++) {
+              block[0] = a[0];
+              block[1] = a[1];
+              block[2] = words[2 * i] | 0;
+              block[3] = words[2 * i + 1] | 0;
+              aes.encryptBlock(block, 0);
+
+              // t = n * j + i + 1 never exceeds 32 bits for keys that fit in memory
+              a = [block[0], block[1] ^ (n * j + i + 1)];
+              words[2 * i] = block[2];
+              words[2 * i + 1] = block[3];
+          }
+      }
+
+      return new WordArray.init(a, 8).concat(r);
+  }
+
+  /**
+   * The unwrapping process W^-1 of RFC 3394 section 2.2.2. Returns the
+   * recovered initial value a (two words) and the key data.
+   */
+  function unwrapBlocks(aes, wrappedKey) {
+      var r = wrappedKey.clone();
+      r.clamp();
+      var a = ext.shiftBytes(r, 8).words;
+      var words = r.words;
+      var n = r.sigBytes / 8;
+      var block = [];
+
+      for (var j = 5; j >= 0; j--) {
+          for (var i = n - 1; i >= 0; i--) {
+              block[0] = a[0];
+              block[1] = a[1] ^ (n * j + i + 1);
+              block[2] = words[2 * i] | 0;
+              block[3] = words[2 * i + 1] | 0;
+              aes.decryptBlock(block, 0);
+
+              a = [block[0], block[1]];
+              words[2 * i] = block[2];
+              words[2 * i + 1] = block[3];
+          }
+      }
+
+      return { a: a, keyData: r };
+  }
+
+  // Shortcuts
+  var Base = C.lib.Base;
+  var WordArray = C.lib.WordArray;
+  var AES = C.algo.AES;
+  var ext = C.ext;
+
+  /**
+   * XTS-AES tweakable encryption for sector-based storage (IEEE 1619,
+   * NIST SP 800-38E).
+   *
+   * Every data unit (sector) is encrypted on its own with a tweak derived
+   * from its number, so sectors can be read and written in any order. A
+   * final partial block is handled with ciphertext stealing, so the
+   * ciphertext is as long as the plaintext. XTS doesn't authenticate the
+   * data.
+   */
+  var XTS = C.XTS = Base.extend({
+      /**
+       * Initializes a newly created XTS instance
+       *
+       * @param {WordArray|Uint8Array|ArrayBuffer} key The data key followed by the tweak key, 32 bytes
+       * for XTS-AES-128 or 64 bytes for XTS-AES-256. Both halves should be independent random keys;
+       * a key with equal halves is rejected (IEEE 1619, NIST SP 800-38E).
+       * @param {Object} cfg (Optional) Options: returnUint8Array (or returnBuffer) makes encryptSector
+       * and decryptSector return a Uint8Array (or Node.js Buffer)
+       *
+       * @example
+       *
+       *     var xts = CryptoJS.XTS.create(key);
+       *     var xts = CryptoJS.XTS.create(uint8ArrayKey, { returnUint8Array: true });
+       */
+      init: function(key, cfg){
+          key = ext.toWordArray(key);
+          if (key.sigBytes !== 32 && key.sigBytes !== 64) {
+              throw new C.error.KeyLengthError("XTS key must be 32 or 64 bytes long, got " + key.sigBytes);
+          }
+          var len = key.sigBytes / 2;
+          var dataKey = ext.leftmostBytes(key, len);
+          var tweakKey = ext.rightmostBytes(key, len);
+          if (ext.equals(dataKey, tweakKey)) {
+              throw new C.error.KeyLengthError("XTS data key and tweak key must differ");
+          }
+          this._binaryOutput = binaryOutput(cfg);
+
+          this._dataAes = AES.createEncryptor(dataKey);
+          this._tweakAes = AES.createEncryptor(tweakKey);
+      },
+
+      /**
+       * Encrypts one data unit.
+       *
+       * @param {number|WordArray} sector The data unit sequence number as a non-negative integer
+       * or as the 16 byte little-endian tweak value
+       * @param {WordArray|Uint8Array|ArrayBuffer} plaintext The data unit, at least 16 bytes long
+       *
+       * @returns {WordArray|Uint8Array} ciphertext of the same length
+       *
+       * @example
+       *
+       *     var ciphertext = xts.encryptSector(7, sectorData);
+       */
+      encryptSector: function(sector, plaintext){
+          return this._process(sector, plaintext, false);
+      },
+
+      /**
+       * Decrypts one data unit.
+       *
+       * @param {number|WordArray} sector The data unit sequence number as a non-negative integer
+       * or as the 16 byte little-endian tweak value
+       * @param {WordArray|Uint8Array|ArrayBuffer} ciphertext The encrypted data unit
+       *
+       * @returns {WordArray|Uint8Array} plaintext
+       *
+       * @example
+       *
+       *     var sectorData = xts.decryptSector(7, ciphertext);
+       */
+      decryptSector: function(sector, ciphertext){
+          return this._process(sector, ciphertext, true);
+      },
+
+      /**
+       * Encrypts the data unit sequence number with the tweak key.
+       */
+      _tweak: function(sector){
+          var tweak;
+          if (typeof sector === "number") {
+              if (sector < 0 || sector % 1 || sector > 9007199254740991) {
+                  throw new C.error.UnsupportedParameterError("XTS sector number must be a non-negative integer, got " + sector);
+              }
+              tweak = [swapEndian(sector | 0), swapEndian(Math.floor(sector / 0x100000000) | 0), 0, 0];
+          } else {
+              sector = ext.toWordArray(sector);
+              if (sector.sigBytes !== 16) {
+                  throw new C.error.UnsupportedParameterError("XTS tweak must be 16 bytes long, got " + sector.sigBytes);
+              }
+              tweak = sector.words.slice(0, 4);
+          }
+          this._tweakAes.encryptBlock(tweak, 0);
+          return tweak;
+      },
+
+      _process: function(sector, data, decrypting){
+          data = ext.toWordArray(data).clone();
+          data.clamp();
+          var length = data.sigBytes;
+          if (length < 16) {
+              throw new C.error.MalformedInputError("XTS data unit must be at least 16 bytes long, got " + length);
+          }
+          if (length > 16 * 0x100000) {
+              throw new C.error.UnsupportedParameterError("XTS data unit must not be longer than 2^20 blocks");
+          }
+
+          var aes = this._dataAes;
+          var tweak = this._tweak(sector);
+          var words = data.words;
+          var partial = length % 16;
+
+          // With ciphertext stealing, the last full block is processed together with the partial block
+          var blocks = Math.floor(length / 16) - (partial ? 1 : 0);
+          for (var j = 0; j < blocks; j++) {
+              processBlock(aes, words, 4 * j, tweak, decrypting);
+              tweak = multiplyByAlpha(tweak);
+          }
+
+          var result = data;
+          if (partial) {
+              // Decryption uses the tweaks of the last two blocks in the reverse order
+              var nextTweak = multiplyByAlpha(tweak);
+              var lastFull = new WordArray.init(words.slice(4 * blocks, 4 * blocks + 4), 16);
+              processBlock(aes, lastFull.words, 0, decrypting ? nextTweak : tweak, decrypting);
+
+              // The partial block steals the end of the processed last full block
+              var block = ext.rightmostBytes(data, partial).concat(ext.rightmostBytes(lastFull, 16 - partial));
+              processBlock(aes, block.words, 0, decrypting ? tweak : nextTweak, decrypting);
+
+              result = ext.leftmostBytes(data, 16 * blocks).concat(block).concat(ext.leftmostBytes(lastFull, partial));
+          }
+
+          return this._binaryOutput ? this._binaryOutput(result) : result;
+      }
+  });
+
+  function processBlock(aes, words, offset, tweak, decrypting) {
+      for (var i = 0; i < 4; i++) {
+          words[offset + i] ^= tweak[i];
+      }
+      if (decrypting) {
+          aes.decryptBlock(words, offset);
+      } else {
+          aes.encryptBlock(words, offset);
+      }
+      for (var i = 0; i < 4; i++) {
+          words[offset + i] ^= tweak[i];
+      }
+  }
+
+  /**
+   * Multiplies the tweak by the primitive element x of GF(2^128). XTS reads
+   * the block as a little-endian number, so this is ext.dbl on the reversed
+   * bytes.
+   */
+  function multiplyByAlpha(tweak) {
+      return reverseBytes(ext.dbl(new WordArray.init(reverseBytes(tweak))).words);
+  }
+
+  return C;
+
+}));
@@ -0,0 +1,187 @@
+;(function (root, factory) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  (function () {
+      // Shortcuts
+      var C = CryptoJS;
+      var C_lib = C.lib;
+      var WordArray = C_lib.WordArray;
+      var MalformedInputError = C.error.MalformedInputError;
+      var C_enc = C.enc;
+
+      /**
+       * Base64 encoding strategy (RFC 4648 section 4).
+       */
+      var Base64 = C_enc.Base64 = {
+          /**
+           * Converts a word array to a Base64 string.
+           *
+           * @param {WordArray} wordArray The word array.
+           *
+           * @return {string} The Base64 string.
+           *
+           * @static
+           *
+           * @example
+           *
+           *     var base64String = CryptoJS.enc.Base64.stringify(wordArray);
+           */
+          stringify: function (wordArray) {
+              return stringify(wordArray, this._map, '=');
+          },
+
+          /**
+           * Converts a Base64 string to a word array.
+           *
+           * @param {string} base64Str The Base64 string.
+           *
+           * @return {WordArray} The word array.
+           *
+           * @throws MalformedInputError If the string contains characters outside the alphabet, isn't padded correctly or has non-zero trailing bits.
+           *
+           * @static
+           *
+           * @example
+           *
+           *     var wordArray = CryptoJS.enc.Base64.parse(base64String);
+           */
+          parse: function (base64Str) {
+              if (base64Str.length % 4) {
+                  throw new MalformedInputError('Malformed Base64 data');
+              }
+
+              // Strip up to two padding characters, the length check makes them mandatory
+              var padding = /={0,2}$/.exec(base64Str)[0];
+
+              return parse(base64Str.slice(0, base64Str.length - padding.length), this._map, 'Malformed Base64 data');
+          },
+
+          _map: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+      };
+
+      /**
+       * URL-safe Base64 encoding strategy without padding (RFC 4648 section 5).
+       */
+      var Base64url = C_enc.Base64url = {
+          /**
+           * Converts a word array to a Base64url string.
+           *
+           * @param {WordArray} wordArray The word array.
+           *
+           * @return {string} The Base64url string.
+           *
+           * @static
+           *
+           * @example
+           *
+           *     var base64urlString = CryptoJS.enc.Base64url.stringify(wordArray);
+           */
+          stringify: function (wordArray) {
+              return stringify(wordArray, this._map, '');
+          },
+
+          /**
+           * Converts a Base64url string to a word array.
+           *
+           * @param {string} base64Str The Base64url string.
+           *
+           * @return {WordArray} The word array.
+           *
+           * @throws MalformedInputError If the string contains characters outside the alphabet, has an impossible length or non-zero trailing bits.
+           *
+           * @static
+           *
+           * @example
+           *
+           *     var wordArray = CryptoJS.enc.Base64url.parse(base64urlString);
+           */
+          parse: function (base64Str) {
+              return parse(base64Str, this._map, 'Malformed Base64url data');
+          },
+
+          _map: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+      };
+
+      function stringify(wordArray, map, paddingChar) {
+          // Shortcuts
+          var words = wordArray.words;
+          var sigBytes = wordArray.sigBytes;
+
+          // Convert
+          var base64Chars = [];
+          for (var i = 0; i < sigBytes; i += 3) {
+              var byte1 = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
+              var byte2 = i + 1 < sigBytes ? (words[(i + 1) >>> 2] >>> (24 - ((i + 1) % 4) * 8)) & 0xff : 0;
+              var byte3 = i + 2 < sigBytes ? (words[(i + 2) >>> 2] >>> (24 - ((i + 2) % 4) * 8)) & 0xff : 0;
+
+              var triplet = (byte1 << 16) | (byte2 << 8) | byte3;
+
+              for (var j = 0; (j < 4) && (i + j * 0.75 < sigBytes); j++) {
+                  base64Chars.push(map.charAt((triplet >>> (6 * (3 - j))) & 0x3f));
+              }
+          }
+
+          // Add padding
+          if (paddingChar) {
+              while (base64Chars.length % 4) {
+                  base64Chars.push(paddingChar);
+              }
+          }
+
+          return base64Chars.join('');
+      }
+
+      function parse(base64Str, map, errorMessage) {
+          // Shortcut
+          var base64StrLength = base64Str.length;
+
+          if (base64StrLength % 4 == 1) {
+              throw new MalformedInputError(errorMessage);
+          }
+
+          // Convert
+          var words = [];
+          var nBytes = 0;
+          var bits = 0;
+          var nBits = 0;
+          for (var i = 0; i < base64StrLength; i++) {
+              var value = map.indexOf(base64Str.charAt(i));
+              if (value < 0) {
+                  throw new MalformedInputError(errorMessage);
+              }
+
+              bits = (bits << 6) | value;
+              nBits += 6;
+              if (nBits >= 8) {
+                  nBits -= 8;
+                  words[nBytes >>> 2] |= ((bits >>> nBits) & 0xff) << (24 - (nBytes % 4) * 8);
+                  bits &= (1 << nBits) - 1;
+                  nBytes++;
+              }
+          }
+
+          // Reject non-canonical encodings
+          if (bits) {
+              throw new MalformedInputError(errorMessage);
+          }
+
+          return WordArray.create(words, nBytes);
+      }
+  }());
+
+
+  return CryptoJS.enc.Base64;
+
+}));
@@ -0,0 +1,157 @@
+;(function (root, factory) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./sha256"), require("./hmac"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./sha256", "./hmac"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  (function () {
+      // Shortcuts
+      var C = CryptoJS;
+      var C_lib = C.lib;
+      var Base = C_lib.Base;
+      var WordArray = C_lib.WordArray;
+      var C_algo = C.algo;
+      var SHA256 = C_algo.SHA256;
+      var HMAC = C_algo.HMAC;
+
+      /**
+       * HMAC-based Extract-and-Expand Key Derivation Function (RFC 5869).
+       */
+      var HKDF = C_algo.HKDF = Base.extend({
+          /**
+           * Configuration options.
+           *
+           * @property {number} keySize The key size in words to generate. Default: 4 (128 bits)
+           * @property {Hasher} hasher The hasher to use for the HMAC. Default: SHA256
+           */
+          cfg: Base.extend({
+              keySize: 128/32,
+              hasher: SHA256
+          }),
+
+          /**
+           * Initializes a newly created key derivation function.
+           *
+           * @param {Object} cfg (Optional) The configuration options to use for the derivation.
+           *
+           * @example
+           *
+           *     var kdf = CryptoJS.algo.HKDF.create();
+           *     var kdf = CryptoJS.algo.HKDF.create({ keySize: 8, hasher: CryptoJS.algo.SHA512 });
+           */
+          init: function (cfg) {
+              this.cfg = this.cfg.extend(cfg);
+          },
+
+          /**
+           * Extracts a pseudorandom key from the input keying material.
+           *
+           * @param {WordArray|string} ikm The input keying material.
+           * @param {WordArray|string} salt (Optional) A salt. Default: a string of zeros as long as the hash output.
+           *
+           * @return {WordArray} The pseudorandom key.
+           *
+           * @example
+           *
+           *     var prk = kdf.extract(ikm, salt);
+           */
+          extract: function (ikm, salt) {
+              // HMAC keys are zero padded, so the empty key equals the default salt
+              return HMAC.create(this.cfg.hasher, salt || WordArray.create()).finalize(ikm);
+          },
+
+          /**
+           * Expands a pseudorandom key to keySize words of output keying material.
+           *
+           * @param {WordArray|string} prk The pseudorandom key, usually the result of extract.
+           * @param {WordArray|string} info (Optional) Context and application specific information.
+           *
+           * @return {WordArray} The output keying material.
+           *
+           * @throws UnsupportedParameterError If more than 255 hash outputs are requested.
+           *
+           * @example
+           *
+           *     var okm = kdf.expand(prk, 'context');
+           */
+          expand: function (prk, info) {
+              // Shortcuts
+              var keySize = this.cfg.keySize;
+              var hmac = HMAC.create(this.cfg.hasher, prk);
+
+              // Initial values
+              var derivedKey = WordArray.create();
+              var block = WordArray.create();
+              var counter = WordArray.create([0x01000000], 1);
+
+              // Generate key
+              while (derivedKey.sigBytes < keySize * 4) {
+                  if (counter.words[0] === 0) {
+                      throw new C.error.UnsupportedParameterError('HKDF can derive at most 255 hash outputs');
+                  }
+
+                  // The HMAC is reset by finalize
+                  block = hmac.update(block).update(info || WordArray.create()).finalize(counter);
+                  derivedKey.concat(block);
+
+                  counter.words[0] = (counter.words[0] + 0x01000000) | 0;
+              }
+              derivedKey.sigBytes = keySize * 4;
+              derivedKey.clamp();
+
+              return derivedKey;
+          },
+
+          /**
+           * Derives a key by extract followed by expand.
+           *
+           * @param {WordArray|string} ikm The input keying material.
+           * @param {WordArray|string} salt (Optional) A salt.
+           * @param {WordArray|string} info (Optional) Context and application specific information.
+           *
+           * @return {WordArray} The derived key.
+           *
+           * @example
+           *
+           *     var key = kdf.compute(ikm, salt, 'context');
+           */
+          compute: function (ikm, salt, info) {
+              return this.expand(this.extract(ikm, salt), info);
+          }
+      });
+
+      /**
+       * Derives a key with HKDF.
+       *
+       * @param {WordArray|string} ikm The input keying material.
+       * @param {WordArray|string} salt (Optional) A salt.
+       * @param {WordArray|string} info (Optional) Context and application specific information.
+       * @param {Object} cfg (Optional) The configuration options to use for this computation.
+       *
+       * @return {WordArray} The derived key.
+       *
+       * @static
+       *
+       * @example
+       *
+       *     var key = CryptoJS.HKDF(ikm, salt, 'context');
+       *     var key = CryptoJS.HKDF(ikm, salt, 'context', { keySize: 8, hasher: CryptoJS.algo.SHA512 });
+       */
+      C.HKDF = function (ikm, salt, info, cfg) {
+          return HKDF.create(cfg).compute(ikm, salt, info);
+      };
+  }());
+
+
+  return CryptoJS.HKDF;
+
+}));
@@ -0,0 +1,18 @@
+;(function (root, factory, undef) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./x64-core"), require("./enc-base64"), require("./md5"), require("./sha256"), require("./sha224"), require("./sha512"), require("./sha384"), require("./hmac"), require("./pbkdf2"), require("./hkdf"), require("./evpkdf"), require("./cipher-core"), require("./mode-ctr"), require("./mode-cfb"), require("./mode-ofb"), require("./mode-ecb"), require("./mode-cbc-cs"), require("./mode-gcm"), require("./pad-ansix923"), require("./pad-iso10126"), require("./pad-zeropadding"), require("./aes"), require("./cryptojs-extension"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./x64-core", "./enc-base64", "./md5", "./sha256", "./sha224", "./sha512", "./sha384", "./hmac", "./pbkdf2", "./hkdf", "./evpkdf", "./cipher-core", "./mode-ctr", "./mode-cfb", "./mode-ofb", "./mode-ecb", "./mode-cbc-cs", "./mode-gcm", "./pad-ansix923", "./pad-iso10126", "./pad-zeropadding", "./aes", "./cryptojs-extension"], factory);
+  }
+  else {
+    // Global (browser)
+    root.CryptoJS = factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  return CryptoJS;
+
+}));
@@ -0,0 +1,4 @@
+// ES module entry: the CommonJS build is the default export
+import CryptoJS from "./index.js";
+
+export default CryptoJS;
@@ -0,0 +1,217 @@
+;(function (root, factory, undef) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./cipher-core"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./cipher-core"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  /**
+   * Cipher Block Chaining with ciphertext stealing (NIST SP 800-38A
+   * addendum). The ciphertext is as long as the plaintext, which must be at
+   * least one block long. The padding option is ignored.
+   *
+   * The variants only differ in the order of the last two ciphertext blocks:
+   * CBC_CS1 keeps the CBC order, CBC_CS2 swaps them if the last block is
+   * partial and CBC_CS3 (Kerberos, RFC 3962) always swaps them.
+   *
+   * @example
+   *
+   *     var ciphertext = CryptoJS.AES.encrypt(message, key, { iv: iv, mode: CryptoJS.mode.CBC_CS3 });
+   */
+  (function () {
+      // Shortcuts
+      var C = CryptoJS;
+      var BlockCipherMode = C.lib.BlockCipherMode;
+      var WordArray = C.lib.WordArray;
+      var CBC = C.mode.CBC;
+      var C_error = C.error;
+
+      function createMode(variant) {
+          var CBC_CS = CBC.extend();
+
+          /**
+           * CBC-CS encryptor.
+           */
+          CBC_CS.Encryptor = CBC.Encryptor.extend({
+              init: init,
+
+              /**
+               * Encrypts the remaining data and steals ciphertext for a final partial block.
+               *
+               * @param {WordArray} data The unprocessed data.
+               *
+               * @return {WordArray} The remaining ciphertext.
+               *
+               * @throws MalformedInputError If the message is shorter than one block.
+               *
+               * @example
+               *
+               *     var ciphertext = mode.finalize(data);
+               */
+              finalize: function (data) {
+                  // Shortcuts
+                  var blockSize = this._cipher.blockSize;
+                  var blockSizeBytes = blockSize * 4;
+                  var dataSigBytes = data.sigBytes;
+                  var nPartialBytes = dataSigBytes % blockSizeBytes;
+
+                  checkLength(dataSigBytes, blockSizeBytes, variant);
+
+                  // Encrypt with zero padding
+                  data.clamp();
+                  var nWords = Math.ceil(dataSigBytes / blockSizeBytes) * blockSize;
+                  var words = data.words;
+                  for (var i = words.length; i < nWords; i++) {
+                      words.push(0);
+                  }
+                  for (var offset = 0; offset < nWords; offset += blockSize) {
+                      this.processBlock(words, offset);
+                  }
+                  var ciphertext = WordArray.create(words, nWords * 4);
+
+                  if (dataSigBytes == blockSizeBytes || (!nPartialBytes && variant != 3)) {
+                      return ciphertext;
+                  }
+
+                  // Truncate the second to last block and reorder the last two
+                  var stolenBytes = nPartialBytes || blockSizeBytes;
+                  var headBytes = nWords * 4 - 2 * blockSizeBytes;
+                  var result = bytes(ciphertext, 0, headBytes);
+                  var penultimate = bytes(ciphertext, headBytes, headBytes + stolenBytes);
+                  var last = bytes(ciphertext, headBytes + blockSizeBytes, headBytes + 2 * blockSizeBytes);
+                  if (variant == 1) {
+                      return result.concat(penultimate).concat(last);
+                  }
+                  return result.concat(last).concat(penultimate);
+              }
+          });
+
+          /**
+           * CBC-CS decryptor.
+           */
+          CBC_CS.Decryptor = CBC.Decryptor.extend({
+              init: init,
+
+              /**
+               * Decrypts the remaining data including the stolen ciphertext.
+               *
+               * @param {WordArray} data The unprocessed data.
+               *
+               * @return {WordArray} The remaining plaintext.
+               *
+               * @throws MalformedInputError If the ciphertext is shorter than one block.
+               *
+               * @example
+               *
+               *     var plaintext = mode.finalize(data);
+               */
+              finalize: function (data) {
+                  // Shortcuts
+                  var cipher = this._cipher;
+                  var blockSize = cipher.blockSize;
+                  var blockSizeBytes = blockSize * 4;
+                  var dataSigBytes = data.sigBytes;
+                  var nPartialBytes = dataSigBytes % blockSizeBytes;
+
+                  checkLength(dataSigBytes, blockSizeBytes, variant);
+
+                  data.clamp();
+                  var words = data.words;
+
+                  if (!nPartialBytes) {
+                      // Undo the swap of the last two full blocks
+                      if (variant == 3 && dataSigBytes > blockSizeBytes) {
+                          var lastBlock = words.splice(dataSigBytes / 4 - 2 * blockSize, blockSize);
+                          words.push.apply(words, lastBlock);
+                      }
+                      for (var offset = 0; offset < dataSigBytes / 4; offset += blockSize) {
+                          this.processBlock(words, offset);
+                      }
+
+                      return WordArray.create(words, dataSigBytes);
+                  }
+
+                  // Decrypt the full blocks before the last two
+                  var headBytes = dataSigBytes - nPartialBytes - blockSizeBytes;
+                  var plaintext = bytes(data, 0, headBytes);
+                  for (var offset = 0; offset < headBytes / 4; offset += blockSize) {
+                      this.processBlock(plaintext.words, offset);
+                  }
+
+                  // Separate the stolen part of the second to last block from the last block
+                  if (variant == 1) {
+                      var stolen = bytes(data, headBytes, headBytes + nPartialBytes);
+                      var lastBlock = bytes(data, headBytes + nPartialBytes, dataSigBytes);
+                  } else {
+                      var lastBlock = bytes(data, headBytes, headBytes + blockSizeBytes);
+                      var stolen = bytes(data, headBytes + blockSizeBytes, dataSigBytes);
+                  }
+
+                  // The decrypted last block is the zero padded last plaintext block
+                  // XORed with the complete second to last ciphertext block
+                  var decrypted = lastBlock.words.slice(0, blockSize);
+                  cipher.decryptBlock(decrypted, 0);
+                  decrypted = WordArray.create(decrypted, blockSizeBytes);
+
+                  var lastPlaintext = bytes(decrypted, 0, nPartialBytes);
+                  for (var i = 0; i < lastPlaintext.words.length; i++) {
+                      lastPlaintext.words[i] ^= stolen.words[i];
+                  }
+
+                  var penultimate = stolen.concat(bytes(decrypted, nPartialBytes, blockSizeBytes)).words.slice(0, blockSize);
+                  this.processBlock(penultimate, 0);
+
+                  return plaintext.concat(WordArray.create(penultimate, blockSizeBytes)).concat(lastPlaintext);
+              }
+          });
+
+          CBC_CS.reinitOK = true;
+
+          return CBC_CS;
+      }
+
+      function init(cipher, iv) {
+          BlockCipherMode.init.call(this, cipher, iv);
+
+          // Stealing changes the last two blocks, so they stay in the buffer until finalize
+          cipher._minBufferSize = 2;
+      }
+
+      function checkLength(dataSigBytes, blockSizeBytes, variant) {
+          // If blocks were processed before, at least two blocks are left in the buffer
+          if (dataSigBytes < blockSizeBytes) {
+              throw new C_error.MalformedInputError('CBC-CS' + variant + ' requires at least one block of data, got ' + dataSigBytes + ' bytes');
+          }
+      }
+
+      /*
+       * Copies the bytes from start to end into a new WordArray.
+       */
+      function bytes(data, start, end) {
+          var result = WordArray.create();
+          for (var i = start; i < end; i++) {
+              var j = i - start;
+              result.words[j >>> 2] |= ((data.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff) << (24 - (j % 4) * 8);
+          }
+          result.sigBytes = end - start;
+
+          return result;
+      }
+
+      C.mode.CBC_CS1 = createMode(1);
+      C.mode.CBC_CS2 = createMode(2);
+      C.mode.CBC_CS3 = createMode(3);
+  }());
+
+
+  return CryptoJS.mode.CBC_CS3;
+
+}));
@@ -0,0 +1,156 @@
+;(function (root, factory, undef) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./cipher-core"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./cipher-core"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  /**
+   * Cipher Feedback block mode.
+   *
+   * Additional configuration options of the cipher:
+   *
+   * @property {number} segmentSize (Optional) The number of bits fed back per step: 8 (CFB8) or the block size (CFB128 for AES). Default: the block size
+   *
+   * @example
+   *
+   *     var ciphertext = CryptoJS.AES.encrypt(message, key, { iv: iv, mode: CryptoJS.mode.CFB, padding: CryptoJS.pad.NoPadding, segmentSize: 8 });
+   */
+  CryptoJS.mode.CFB = (function () {
+      // Shortcuts
+      var BlockCipherMode = CryptoJS.lib.BlockCipherMode;
+      var C_error = CryptoJS.error;
+
+      var CFB = BlockCipherMode.extend({
+          /**
+           * Initializes a newly created mode.
+           *
+           * @param {Cipher} cipher A block cipher instance.
+           * @param {Array} iv The IV words.
+           *
+           * @example
+           *
+           *     var mode = CryptoJS.mode.CFB.Encryptor.create(cipher, iv.words);
+           */
+          init: function (cipher, iv) {
+              BlockCipherMode.init.call(this, cipher, iv);
+
+              // Shortcuts
+              var blockSizeBits = cipher.blockSize * 32;
+              var segmentSize = cipher.cfg.segmentSize || blockSizeBits;
+
+              if (segmentSize != 8 && segmentSize != blockSizeBits) {
+                  throw new C_error.UnsupportedParameterError('Unsupported CFB segment size: ' + segmentSize);
+              }
+              this._segmentSize = segmentSize;
+          }
+      });
+
+      CFB.Encryptor = CFB.extend({
+          processBlock: function (words, offset) {
+              // Shortcut
+              var blockSize = this._cipher.blockSize;
+
+              if (this._segmentSize == 8) {
+                  processSegments.call(this, words, offset, false);
+              } else {
+                  xorKeystream.call(this, words, offset, blockSize);
+
+                  // This ciphertext block is fed back for the next block
+                  this._prevBlock = words.slice(offset, offset + blockSize);
+              }
+          }
+      });
+
+      CFB.Decryptor = CFB.extend({
+          processBlock: function (words, offset) {
+              // Shortcut
+              var blockSize = this._cipher.blockSize;
+
+              if (this._segmentSize == 8) {
+                  processSegments.call(this, words, offset, true);
+              } else {
+                  // This ciphertext block is fed back for the next block
+                  var thisBlock = words.slice(offset, offset + blockSize);
+
+                  xorKeystream.call(this, words, offset, blockSize);
+
+                  this._prevBlock = thisBlock;
+              }
+          }
+      });
+
+      CFB.reinitOK = true;
+
+      function feedbackBlock() {
+          // Shortcut
+          var iv = this._iv;
+
+          if (iv) {
+              // Remove IV for subsequent blocks
+              this._iv = undefined;
+
+              return iv.slice(0);
+          }
+
+          return this._prevBlock;
+      }
+
+      function xorKeystream(words, offset, blockSize) {
+          // Generate keystream
+          var keystream = feedbackBlock.call(this);
+          this._cipher.encryptBlock(keystream, 0);
+
+          // Encrypt
+          for (var i = 0; i < blockSize; i++) {
+              words[offset + i] ^= keystream[i];
+          }
+      }
+
+      /*
+       * Processes the block one byte at a time, shifting each ciphertext
+       * byte into the feedback register.
+       */
+      function processSegments(words, offset, decrypting) {
+          // Shortcuts
+          var cipher = this._cipher;
+          var blockSize = cipher.blockSize;
+          var register = feedbackBlock.call(this);
+
+          for (var i = 0; i < blockSize * 4; i++) {
+              // Generate keystream byte
+              var keystream = register.slice(0);
+              cipher.encryptBlock(keystream, 0);
+
+              // Encrypt byte
+              var wordIndex = offset + (i >>> 2);
+              var shift = 24 - (i % 4) * 8;
+              var inputByte = (words[wordIndex] >>> shift) & 0xff;
+              var outputByte = inputByte ^ (keystream[0] >>> 24);
+              words[wordIndex] = (words[wordIndex] & ~(0xff << shift)) | (outputByte << shift);
+
+              // Shift ciphertext byte into register
+              for (var j = 0; j < blockSize - 1; j++) {
+                  register[j] = (register[j] << 8) | (register[j + 1] >>> 24);
+              }
+              register[j] = (register[j] << 8) | (decrypting ? inputByte : outputByte);
+          }
+
+          this._prevBlock = register;
+      }
+
+      return CFB;
+  }());
+
+
+  return CryptoJS.mode.CFB;
+
+}));
@@ -0,0 +1,146 @@
+;(function (root, factory, undef) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./cipher-core"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./cipher-core"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  /**
+   * Counter block mode.
+   *
+   * The counter is the last counterWidth bits of the block interpreted as a
+   * big-endian integer, or the first counterWidth bits interpreted as a
+   * little-endian integer. The remaining bits stay fixed. Processing throws a
+   * LimitExceededError instead of reusing a counter value.
+   *
+   * Additional configuration options of the cipher:
+   *
+   * @property {number} counterWidth (Optional) The counter width in bits: 32, 64 or 128. Default: 32, as in earlier versions. OpenSSL's aes-*-ctr uses 128
+   * @property {boolean} counterLittleEndian (Optional) Use a little-endian counter at the start of the block. Default: false
+   * @property {boolean} counterWrap (Optional) Whether a carry out of the counter wraps it around to zero instead of throwing a LimitExceededError. Default: true
+   *
+   * @example
+   *
+   *     var ciphertext = CryptoJS.AES.encrypt(message, key, { iv: iv, mode: CryptoJS.mode.CTR, padding: CryptoJS.pad.NoPadding, counterWidth: 128 });
+   */
+  CryptoJS.mode.CTR = (function () {
+      // Shortcuts
+      var C_error = CryptoJS.error;
+
+      var CTR = CryptoJS.lib.BlockCipherMode.extend({
+          /**
+           * Initializes a newly created mode.
+           *
+           * @param {Cipher} cipher A block cipher instance.
+           * @param {Array} iv The IV words.
+           *
+           * @example
+           *
+           *     var mode = CryptoJS.mode.CTR.Encryptor.create(cipher, iv.words);
+           */
+          init: function (cipher, iv) {
+              CryptoJS.lib.BlockCipherMode.init.call(this, cipher, iv);
+
+              // Shortcuts
+              var cfg = cipher.cfg;
+              var counterWidth = cfg.counterWidth || 32;
+
+              if ((counterWidth != 32 && counterWidth != 64 && counterWidth != 128) || counterWidth > cipher.blockSize * 32) {
+                  throw new C_error.UnsupportedParameterError('Unsupported CTR counter width: ' + counterWidth);
+              }
+              this._counterWords = counterWidth / 32;
+              this._littleEndian = !!cfg.counterLittleEndian;
+              this._wrap = cfg.counterWrap !== false;
+              this._counter = undefined;
+              this._exhausted = false;
+          },
+
+          processBlock: function (words, offset) {
+              // Shortcuts
+              var cipher = this._cipher
+              var blockSize = cipher.blockSize;
+              var iv = this._iv;
+              var counter = this._counter;
+
+              // Generate keystream
+              if (iv) {
+                  counter = this._counter = iv.slice(0);
+                  this._initialCounter = iv.slice(0);
+
+                  // Remove IV for subsequent blocks
+                  this._iv = undefined;
+              }
+              if (this._exhausted) {
+                  throw new C_error.LimitExceededError('CTR counter would repeat');
+              }
+              var keystream = counter.slice(0);
+              cipher.encryptBlock(keystream, 0);
+
+              // Increment counter
+              if (increment(counter, blockSize, this._counterWords, this._littleEndian) && !this._wrap) {
+                  // The current block is fine, only the next one would need the carry
+                  this._exhausted = true;
+              }
+              if (!this._exhausted) {
+                  var initialCounter = this._initialCounter;
+                  this._exhausted = true;
+                  for (var j = 0; j < blockSize; j++) {
+                      if (counter[j] !== initialCounter[j]) {
+                          this._exhausted = false;
+                          break;
+                      }
+                  }
+              }
+
+              // Encrypt
+              for (var i = 0; i < blockSize; i++) {
+                  words[offset + i] ^= keystream[i];
+              }
+          }
+      });
+
+      /*
+       * Increments the counter field of the block in place and returns
+       * whether it wrapped around to zero.
+       */
+      function increment(counter, blockSize, counterWords, littleEndian) {
+          for (var i = 0; i < counterWords; i++) {
+              var index = littleEndian ? i : blockSize - 1 - i;
+              var word = littleEndian ? swapEndian(counter[index]) : counter[index];
+              word = (word + 1) | 0;
+              counter[index] = littleEndian ? swapEndian(word) : word;
+
+              // Carry into the next word only if this one overflowed
+              if (word !== 0) {
+                  return false;
+              }
+          }
+
+          return true;
+      }
+
+      function swapEndian(word) {
+          return (word << 24) | ((word << 8) & 0x00ff0000) | ((word >>> 8) & 0x0000ff00) | (word >>> 24);
+      }
+
+      CTR.Encryptor = CTR.extend();
+
+      CTR.Decryptor = CTR.Encryptor;
+
+      CTR.reinitOK = true;
+
+      return CTR;
+  }());
+
+
+  return CryptoJS.mode.CTR;
+
+}));
@@ -0,0 +1,44 @@
+;(function (root, factory, undef) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./cipher-core"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./cipher-core"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  /**
+   * Electronic Codebook block mode. Every block is encrypted on its own, so
+   * equal plaintext blocks give equal ciphertext blocks. Only use it for
+   * single blocks or to check test vectors.
+   */
+  CryptoJS.mode.ECB = (function () {
+      var ECB = CryptoJS.lib.BlockCipherMode.extend();
+
+      ECB.Encryptor = ECB.extend({
+          processBlock: function (words, offset) {
+              this._cipher.encryptBlock(words, offset);
+          }
+      });
+
+      ECB.Decryptor = ECB.extend({
+          processBlock: function (words, offset) {
+              this._cipher.decryptBlock(words, offset);
+          }
+      });
+
+      ECB.reinitOK = true;
+
+      return ECB;
+  }());
+
+
+  return CryptoJS.mode.ECB;
+
+}));
@@ -0,0 +1,351 @@
+;(function (root, factory, undef) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./cipher-core"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./cipher-core"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  /**
+   * Galois/Counter mode (NIST SP 800-38D).
+   *
+   * The authentication tag is appended to the ciphertext when encrypting and is
+   * expected at the end of the ciphertext when decrypting. Decryption returns
+   * false if the tag doesn't match. No padding is applied.
+   *
+   * Additional configuration options of the cipher:
+   *
+   * @property {WordArray|string} aad (Optional) Additional authenticated data. Strings are converted using UTF-8.
+   * @property {number} tagLength (Optional) The tag length in bits, from 32 to 128. Default: 128
+   * @property {boolean} throwOnAuthFailure (Optional) Throw an AuthenticationError instead of returning false. Default: CryptoJS.error.throwOnAuthFailure
+   *
+   * @example
+   *
+   *     var ciphertext = CryptoJS.AES.encrypt(message, key, { iv: iv, mode: CryptoJS.mode.GCM, padding: CryptoJS.pad.NoPadding, aad: aad });
+   *     var plaintext  = CryptoJS.AES.decrypt(ciphertext, key, { iv: iv, mode: CryptoJS.mode.GCM, padding: CryptoJS.pad.NoPadding, aad: aad });
+   */
+  CryptoJS.mode.GCM = (function () {
+      // Shortcuts
+      var C = CryptoJS;
+      var BlockCipherMode = C.lib.BlockCipherMode;
+      var WordArray = C.lib.WordArray;
+      var Utf8 = C.enc.Utf8;
+      var C_error = C.error;
+
+      var GCM = BlockCipherMode.extend({
+          /**
+           * Initializes a newly created mode.
+           *
+           * @param {Cipher} cipher A block cipher instance.
+           * @param {Array} iv The IV words.
+           *
+           * @example
+           *
+           *     var mode = CryptoJS.mode.GCM.Encryptor.create(cipher, iv.words);
+           */
+          init: function (cipher, iv) {
+              BlockCipherMode.init.call(this, cipher, iv);
+
+              // Shortcuts
+              var cfg = cipher.cfg;
+              var aad = cfg.aad;
+              var tagLength = cfg.tagLength || 128;
+
+              if (!cfg.iv || !cfg.iv.sigBytes) {
+                  throw new C_error.UnsupportedParameterError('GCM requires a non-empty IV');
+              }
+              if (tagLength % 8 || tagLength < 32 || tagLength > 128) {
+                  throw new C_error.UnsupportedParameterError('Unsupported GCM tag length: ' + tagLength);
+              }
+              this._tagBytes = tagLength / 8;
+
+              // Compute hash subkey
+              var h = this._h = [0, 0, 0, 0];
+              cipher.encryptBlock(h, 0);
+
+              // Compute pre-counter block
+              var ivWordArray = cfg.iv.clone();
+              ivWordArray.clamp();
+              if (ivWordArray.sigBytes == 12) {
+                  var j0 = ivWordArray.words.slice(0, 3).concat(1);
+              } else {
+                  var j0 = ghash(h, [0, 0, 0, 0], ivWordArray.words, ivWordArray.sigBytes);
+                  xorLengths(j0, 0, ivWordArray.sigBytes);
+                  multiply(j0, h);
+              }
+              this._j0 = j0;
+              this._counter = j0.slice(0);
+
+              // Authenticate additional data
+              if (typeof aad == 'string') {
+                  aad = Utf8.parse(aad);
+              } else if (aad) {
+                  aad = aad.clone();
+                  aad.clamp();
+              }
+              this._nAadBytes = aad ? aad.sigBytes : 0;
+              this._y = ghash(h, [0, 0, 0, 0], aad ? aad.words : [], this._nAadBytes);
+              this._nDataBytes = 0;
+          },
+
+          /**
+           * Processes the first nBytes of the remaining data, including a final partial block.
+           *
+           * @param {WordArray} data The unprocessed data.
+           * @param {number} nBytes The number of bytes to process.
+           *
+           * @return {WordArray} The processed data.
+           */
+          _processFinal: function (data, nBytes) {
+              // Shortcut
+              var words = data.words;
+
+              for (var offset = 0; offset * 4 < nBytes; offset += 4) {
+                  this.processBlock(words, offset, Math.min(nBytes - offset * 4, 16));
+              }
+
+              var processed = WordArray.create(words, nBytes);
+              processed.clamp();
+
+              return processed;
+          },
+
+          _computeTag: function () {
+              // Shortcuts
+              var y = this._y;
+              var tag = this._j0.slice(0);
+
+              // Authenticate lengths
+              xorLengths(y, this._nAadBytes, this._nDataBytes);
+              multiply(y, this._h);
+
+              // Encrypt hash
+              this._cipher.encryptBlock(tag, 0);
+              for (var i = 0; i < 4; i++) {
+                  tag[i] ^= y[i];
+              }
+
+              var tagWordArray = WordArray.create(tag, this._tagBytes);
+              tagWordArray.clamp();
+
+              return tagWordArray;
+          },
+
+          _xorKeystream: function (words, offset) {
+              // Shortcut
+              var counter = this._counter;
+
+              // Increment the rightmost 32 bits of the counter
+              counter[3] = (counter[3] + 1) | 0;
+
+              // Generate keystream
+              var keystream = counter.slice(0);
+              this._cipher.encryptBlock(keystream, 0);
+
+              // Encrypt
+              for (var i = 0; i < 4; i++) {
+                  words[offset + i] ^= keystream[i];
+              }
+          },
+
+          _authenticate: function (words, offset, nBytes) {
+              // Zero the bytes following a partial block
+              var block = words.slice(offset, offset + 4);
+              for (var i = 0; i < 4; i++) {
+                  var nWordBytes = nBytes - i * 4;
+                  if (nWordBytes <= 0) {
+                      block[i] = 0;
+                  } else if (nWordBytes < 4) {
+                      block[i] &= 0xffffffff << (32 - nWordBytes * 8);
+                  }
+              }
+
+              ghash(this._h, this._y, block, 16);
+              this._nDataBytes += nBytes;
+          }
+      });
+
+      /**
+       * GCM encryptor.
+       */
+      GCM.Encryptor = GCM.extend({
+          /**
+           * Processes the data block at offset.
+           *
+           * @param {Array} words The data words to operate on.
+           * @param {number} offset The offset where the block starts.
+           * @param {number} nBytes (Optional) The number of significant bytes in the block. Default: 16
+           *
+           * @example
+           *
+           *     mode.processBlock(data.words, offset);
+           */
+          processBlock: function (words, offset, nBytes) {
+              this._xorKeystream(words, offset);
+              this._authenticate(words, offset, nBytes || 16);
+          },
+
+          /**
+           * Encrypts the remaining data and appends the tag.
+           *
+           * @param {WordArray} data The unprocessed data.
+           *
+           * @return {WordArray} The ciphertext followed by the tag.
+           *
+           * @example
+           *
+           *     var ciphertext = mode.finalize(data);
+           */
+          finalize: function (data) {
+              data.clamp();
+
+              var ciphertext = this._processFinal(data, data.sigBytes);
+
+              return ciphertext.concat(this._computeTag());
+          }
+      });
+
+      /**
+       * GCM decryptor.
+       */
+      GCM.Decryptor = GCM.extend({
+          /**
+           * Processes the data block at offset.
+           *
+           * @param {Array} words The data words to operate on.
+           * @param {number} offset The offset where the block starts.
+           * @param {number} nBytes (Optional) The number of significant bytes in the block. Default: 16
+           *
+           * @example
+           *
+           *     mode.processBlock(data.words, offset);
+           */
+          processBlock: function (words, offset, nBytes) {
+              this._authenticate(words, offset, nBytes || 16);
+              this._xorKeystream(words, offset);
+          },
+
+          /**
+           * Decrypts the remaining data and verifies the tag at its end.
+           *
+           * @param {WordArray} data The unprocessed data.
+           *
+           * @return {WordArray|boolean} The plaintext, or false if the tag doesn't match.
+           *
+           * @throws AuthenticationError If the tag doesn't match and throwOnAuthFailure is set.
+           *
+           * @example
+           *
+           *     var plaintext = mode.finalize(data);
+           */
+          finalize: function (data) {
+              // Shortcut
+              var nBytes = data.sigBytes - this._tagBytes;
+              var throwOnAuthFailure = this._cipher.cfg.throwOnAuthFailure;
+
+              if (nBytes < 0) {
+                  return C_error.authenticationFailed(throwOnAuthFailure, 'GCM ciphertext is shorter than the tag');
+              }
+
+              data.clamp();
+
+              // Separate tag
+              var tag = WordArray.create();
+              for (var i = nBytes; i < data.sigBytes; i++) {
+                  var j = i - nBytes;
+                  tag.words[j >>> 2] |= ((data.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff) << (24 - (j % 4) * 8);
+              }
+              tag.sigBytes = this._tagBytes;
+
+              var plaintext = this._processFinal(data, nBytes);
+
+              // Compare in constant time
+              var expectedTag = this._computeTag();
+              var diff = 0;
+              for (var i = 0; i < expectedTag.words.length; i++) {
+                  diff |= tag.words[i] ^ expectedTag.words[i];
+              }
+
+              if (diff !== 0) {
+                  return C_error.authenticationFailed(throwOnAuthFailure, 'GCM authentication failed');
+              }
+
+              return plaintext;
+          }
+      });
+
+      GCM.reinitOK = true;
+
+      /**
+       * Multiplies x by h in GF(2^128), using the bit order of GCM. x is modified.
+       */
+      function multiply(x, h) {
+          var z0 = 0, z1 = 0, z2 = 0, z3 = 0;
+          var v0 = h[0], v1 = h[1], v2 = h[2], v3 = h[3];
+
+          for (var i = 0; i < 128; i++) {
+              if ((x[i >>> 5] >>> (31 - (i % 32))) & 1) {
+                  z0 ^= v0;
+                  z1 ^= v1;
+                  z2 ^= v2;
+                  z3 ^= v3;
+              }
+
+              // Multiply v by x, reducing by x^128 + x^7 + x^2 + x + 1
+              var lsb = v3 & 1;
+              v3 = (v3 >>> 1) | (v2 << 31);
+              v2 = (v2 >>> 1) | (v1 << 31);
+              v1 = (v1 >>> 1) | (v0 << 31);
+              v0 = v0 >>> 1;
+              if (lsb) {
+                  v0 ^= 0xe1000000;
+              }
+          }
+
+          x[0] = z0;
+          x[1] = z1;
+          x[2] = z2;
+          x[3] = z3;
+      }
+
+      /**
+       * Hashes nBytes of zero-padded words into y. y is modified.
+       */
+      function ghash(h, y, words, nBytes) {
+          for (var offset = 0; offset * 4 < nBytes; offset += 4) {
+              for (var i = 0; i < 4; i++) {
+                  y[i] ^= words[offset + i] | 0;
+              }
+              multiply(y, h);
+          }
+
+          return y;
+      }
+
+      /**
+       * XORs the 64-bit bit lengths of two byte counts into y.
+       */
+      function xorLengths(y, nBytes1, nBytes2) {
+          y[0] ^= Math.floor(nBytes1 / 0x20000000);
+          y[1] ^= (nBytes1 * 8) | 0;
+          y[2] ^= Math.floor(nBytes2 / 0x20000000);
+          y[3] ^= (nBytes2 * 8) | 0;
+      }
+
+      // Exposed for the POLYVAL computation of AES-GCM-SIV
+      GCM._multiply = multiply;
+
+      return GCM;
+  }());
+
+
+  return CryptoJS.mode.GCM;
+
+}));
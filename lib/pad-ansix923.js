@@ -0,0 +1,77 @@
+;(function (root, factory, undef) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./cipher-core"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./cipher-core"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  /**
+   * ANSI X9.23 padding strategy: zero bytes followed by the number of padding bytes.
+   */
+  CryptoJS.pad.AnsiX923 = {
+      pad: function (data, blockSize) {
+          // Shortcut
+          var blockSizeBytes = blockSize * 4;
+
+          // Count padding bytes
+          var nPaddingBytes = blockSizeBytes - data.sigBytes % blockSizeBytes;
+
+          // Create padding with the count in the last byte
+          var paddingWords = [];
+          for (var i = 0; i < nPaddingBytes; i += 4) {
+              paddingWords.push(0);
+          }
+          var lastBytePos = nPaddingBytes - 1;
+          paddingWords[lastBytePos >>> 2] |= nPaddingBytes << (24 - (lastBytePos % 4) * 8);
+
+          // Add padding
+          data.concat(CryptoJS.lib.WordArray.create(paddingWords, nPaddingBytes));
+      },
+
+      /**
+       * Removes the padding after checking the length byte and the zero bytes.
+       *
+       * @param {WordArray} data The data to unpad.
+       * @param {number} blockSize (Optional) The block size in words. Default: 4
+       *
+       * @throws MalformedInputError If the padding is malformed.
+       */
+      unpad: function (data, blockSize) {
+          // Shortcuts
+          var dataWords = data.words;
+          var dataSigBytes = data.sigBytes;
+          var blockSizeBytes = (blockSize || 4) * 4;
+
+          // Get number of padding bytes from last byte
+          var lastBytePos = dataSigBytes - 1;
+          var nPaddingBytes = (dataWords[lastBytePos >>> 2] >>> (24 - (lastBytePos % 4) * 8)) & 0xff;
+
+          // Check the whole last block, so that the time taken doesn't depend on the padding
+          var invalid = (nPaddingBytes == 0) | (nPaddingBytes > blockSizeBytes) | (nPaddingBytes > dataSigBytes);
+          var nCheckedBytes = Math.min(blockSizeBytes, dataSigBytes);
+          for (var i = 2; i <= nCheckedBytes; i++) {
+              var pos = dataSigBytes - i;
+              var paddingByte = (dataWords[pos >>> 2] >>> (24 - (pos % 4) * 8)) & 0xff;
+              invalid |= (i <= nPaddingBytes) & (paddingByte != 0);
+          }
+          if (invalid) {
+              throw new CryptoJS.error.MalformedInputError('Malformed padding');
+          }
+
+          // Remove padding
+          data.sigBytes -= nPaddingBytes;
+      }
+  };
+
+
+  return CryptoJS.pad.AnsiX923;
+
+}));
@@ -0,0 +1,62 @@
+;(function (root, factory, undef) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./cipher-core"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./cipher-core"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  /**
+   * ISO 10126 padding strategy: random bytes followed by the number of padding bytes.
+   */
+  CryptoJS.pad.Iso10126 = {
+      pad: function (data, blockSize) {
+          // Shortcut
+          var blockSizeBytes = blockSize * 4;
+
+          // Count padding bytes
+          var nPaddingBytes = blockSizeBytes - data.sigBytes % blockSizeBytes;
+
+          // Pad
+          data.concat(CryptoJS.lib.WordArray.random(nPaddingBytes - 1)).
+               concat(CryptoJS.lib.WordArray.create([nPaddingBytes << 24], 1));
+      },
+
+      /**
+       * Removes the padding after checking the length byte. The other padding
+       * bytes are random and can't be checked.
+       *
+       * @param {WordArray} data The data to unpad.
+       * @param {number} blockSize (Optional) The block size in words. Default: 4
+       *
+       * @throws MalformedInputError If the padding is malformed.
+       */
+      unpad: function (data, blockSize) {
+          // Shortcuts
+          var dataSigBytes = data.sigBytes;
+          var blockSizeBytes = (blockSize || 4) * 4;
+
+          // Get number of padding bytes from last byte
+          var lastBytePos = dataSigBytes - 1;
+          var nPaddingBytes = (data.words[lastBytePos >>> 2] >>> (24 - (lastBytePos % 4) * 8)) & 0xff;
+
+          if ((nPaddingBytes == 0) | (nPaddingBytes > blockSizeBytes) | (nPaddingBytes > dataSigBytes)) {
+              throw new CryptoJS.error.MalformedInputError('Malformed padding');
+          }
+
+          // Remove padding
+          data.sigBytes -= nPaddingBytes;
+      }
+  };
+
+
+  return CryptoJS.pad.Iso10126;
+
+}));
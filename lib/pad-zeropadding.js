@@ -0,0 +1,55 @@
+;(function (root, factory, undef) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"), require("./cipher-core"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core", "./cipher-core"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  /**
+   * Zero padding strategy: zero bytes up to the next block boundary, nothing
+   * if the data already ends there. Only suitable for data that doesn't end
+   * with zero bytes, because unpadding removes all of them.
+   */
+  CryptoJS.pad.ZeroPadding = {
+      pad: function (data, blockSize) {
+          // Shortcut
+          var blockSizeBytes = blockSize * 4;
+
+          // Count padding bytes
+          var nPaddingBytes = (blockSizeBytes - data.sigBytes % blockSizeBytes) % blockSizeBytes;
+
+          // Create padding
+          var paddingWords = [];
+          for (var i = 0; i < nPaddingBytes; i += 4) {
+              paddingWords.push(0);
+          }
+
+          // Add padding
+          data.concat(CryptoJS.lib.WordArray.create(paddingWords, nPaddingBytes));
+      },
+
+      unpad: function (data) {
+          // Shortcut
+          var dataWords = data.words;
+
+          // Unpad
+          var i = data.sigBytes - 1;
+          while (i >= 0 && !((dataWords[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff)) {
+              i--;
+          }
+          data.sigBytes = i + 1;
+      }
+  };
+
+
+  return CryptoJS.pad.ZeroPadding;
+
+}));
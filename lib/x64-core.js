@@ -0,0 +1,139 @@
+;(function (root, factory) {
+  if (typeof exports === "object") {
+    // CommonJS
+    module.exports = exports = factory(require("./core"));
+  }
+  else if (typeof define === "function" && define.amd) {
+    // AMD
+    define(["./core"], factory);
+  }
+  else {
+    // Global (browser)
+    factory(root.CryptoJS);
+  }
+}(this, function (CryptoJS) {
+
+  (function (undefined) {
+      // Shortcuts
+      var C = CryptoJS;
+      var C_lib = C.lib;
+      var Base = C_lib.Base;
+      var X32WordArray = C_lib.WordArray;
+
+      /**
+       * x64 namespace.
+       */
+      var C_x64 = C.x64 = {};
+
+      /**
+       * A 64-bit word.
+       */
+      var X64Word = C_x64.Word = Base.extend({
+          /**
+           * Initializes a newly created 64-bit word.
+           *
+           * @param {number} high The high 32 bits.
+           * @param {number} low The low 32 bits.
+           *
+           * @example
+           *
+           *     var x64Word = CryptoJS.x64.Word.create(0x00010203, 0x04050607);
+           */
+          init: function (high, low) {
+              this.high = high;
+              this.low = low;
+          }
+      });
+
+      /**
+       * An array of 64-bit words.
+       *
+       * @property {Array} words The array of CryptoJS.x64.Word objects.
+       * @property {number} sigBytes The number of significant bytes in this word array.
+       */
+      var X64WordArray = C_x64.WordArray = Base.extend({
+          /**
+           * Initializes a newly created word array.
+           *
+           * @param {Array} words (Optional) An array of CryptoJS.x64.Word objects.
+           * @param {number} sigBytes (Optional) The number of significant bytes in the words.
+           *
+           * @example
+           *
+           *     var wordArray = CryptoJS.x64.WordArray.create();
+           *
+           *     var wordArray = CryptoJS.x64.WordArray.create([
+           *         CryptoJS.x64.Word.create(0x00010203, 0x04050607),
+           *         CryptoJS.x64.Word.create(0x18191a1b, 0x1c1d1e1f)
+           *     ]);
+           *
+           *     var wordArray = CryptoJS.x64.WordArray.create([
+           *         CryptoJS.x64.Word.create(0x00010203, 0x04050607),
+           *         CryptoJS.x64.Word.create(0x18191a1b, 0x1c1d1e1f)
+           *     ], 10);
+           */
+          init: function (words, sigBytes) {
+              words = this.words = words || [];
+
+              if (sigBytes != undefined) {
+                  this.sigBytes = sigBytes;
+              } else {
+                  this.sigBytes = words.length * 8;
+              }
+          },
+
+          /**
+           * Converts this 64-bit word array to a 32-bit word array.
+           *
+           * @return {CryptoJS.lib.WordArray} This word array's data as a 32-bit word array.
+           *
+           * @example
+           *
+           *     var x32WordArray = x64WordArray.toX32();
+           */
+          toX32: function () {
+              // Shortcuts
+              var x64Words = this.words;
+              var x64WordsLength = x64Words.length;
+
+              // Convert
+              var x32Words = [];
+              for (var i = 0; i < x64WordsLength; i++) {
+                  var x64Word = x64Words[i];
+                  x32Words.push(x64Word.high);
+                  x32Words.push(x64Word.low);
+              }
+
+              return X32WordArray.create(x32Words, this.sigBytes);
+          },
+
+          /**
+           * Creates a copy of this word array.
+           *
+           * @return {X64WordArray} The clone.
+           *
+           * @example
+           *
+           *     var clone = x64WordArray.clone();
+           */
+          clone: function () {
+              var clone = Base.clone.call(this);
+
+              // Clone "words" array
+              var words = clone.words = this.words.slice(0);
+
+              // Clone each X64Word object
+              var wordsLength = words.length;
+              for (var i = 0; i < wordsLength; i++) {
+                  words[i] = words[i].clone();
+              }
+
+              return clone;
+          }
+      });
+  }());
+
+
+  return CryptoJS;
+
+}));
@@ -1,2589 +1,9 @@
-;(function (root, factory) {
-  if (typeof exports === "object") {
-    // CommonJS
-    module.exports = exports = factory();
-  }
-  else if (typeof define === "function" && define.amd) {
-    // AMD
-    define([], factory);
-  }
-  else {
-    // Global (browser)
-    root.CryptoJS = factory();
-  }
-}(this, function () {
-
-  /**
-   * CryptoJS core components.
-   */
-  var CryptoJS = CryptoJS || (function (Math, undefined) {
-      /**
-       * CryptoJS namespace.
-       */
-      var C = {};
-
-      /**
-       * Library namespace.
-       */
-      var C_lib = C.lib = {};
-
-      /**
-       * Base object for prototypal inheritance.
-       */
-      var Base = C_lib.Base = (function () {
-          function F() {}
-
-          return {
-              /**
-               * Creates a new object that inherits from this object.
-               *
-               * @param {Object} overrides Properties to copy into the new object.
-               *
-               * @return {Object} The new object.
-               *
-               * @static
-               *
-               * @example
-               *
-               *     var MyType = CryptoJS.lib.Base.extend({
-               *         field: 'value',
-               *
-               *         method: function () {
-               *         }
-               *     });
-               */
-              extend: function (overrides) {
-                  // Spawn
-                  F.prototype = this;
-                  var subtype = new F();
-
-                  // Augment
-                  if (overrides) {
-                      subtype.mixIn(overrides);
-                  }
-
-                  // Create default initializer
-                  if (!subtype.hasOwnProperty('init') || this.init === subtype.init) {
-                      subtype.init = function () {
-                          subtype.$super.init.apply(this, arguments);
-                      };
-                  }
-
-                  // Initializer's prototype is the subtype object
-                  subtype.init.prototype = subtype;
-
-                  // Reference supertype
-                  subtype.$super = this;
-
-                  return subtype;
-              },
-
-              /**
-               * Extends this object and runs the init method.
-               * Arguments to create() will be passed to init().
-               *
-               * @return {Object} The new object.
-               *
-               * @static
-               *
-               * @example
-               *
-               *     var instance = MyType.create();
-               */
-              create: function () {
-                  var instance = this.extend();
-                  instance.init.apply(instance, arguments);
-
-                  return instance;
-              },
-
-              /**
-               * Initializes a newly created object.
-               * Override this method to add some logic when your objects are created.
-               *
-               * @example
-               *
-               *     var MyType = CryptoJS.lib.Base.extend({
-               *         init: function () {
-               *             // ...
-               *         }
-               *     });
-               */
-              init: function () {
-              },
-
-              /**
-               * Copies properties into this object.
-               *
-               * @param {Object} properties The properties to mix in.
-               *
-               * @example
-               *
-               *     MyType.mixIn({
-               *         field: 'value'
-               *     });
-               */
-              mixIn: function (properties) {
-                  for (var propertyName in properties) {
-                      if (properties.hasOwnProperty(propertyName)) {
-                          this[propertyName] = properties[propertyName];
-                      }
-                  }
-
-                  // IE won't copy toString using the loop above
-                  if (properties.hasOwnProperty('toString')) {
-                      this.toString = properties.toString;
-                  }
-              },
-
-              /**
-               * Creates a copy of this object.
-               *
-               * @return {Object} The clone.
-               *
-               * @example
-               *
-               *     var clone = instance.clone();
-               */
-              clone: function () {
-                  return this.init.prototype.extend(this);
-              }
-          };
-      }());
-
-      /**
-       * An array of 32-bit words.
-       *
-       * @property {Array} words The array of 32-bit words.
-       * @property {number} sigBytes The number of significant bytes in this word array.
-       */
-      var WordArray = C_lib.WordArray = Base.extend({
-          /**
-           * Initializes a newly created word array.
-           *
-           * @param {Array} words (Optional) An array of 32-bit words.
-           * @param {number} sigBytes (Optional) The number of significant bytes in the words.
-           *
-           * @example
-           *
-           *     var wordArray = CryptoJS.lib.WordArray.create();
-           *     var wordArray = CryptoJS.lib.WordArray.create([0x00010203, 0x04050607]);
-           *     var wordArray = CryptoJS.lib.WordArray.create([0x00010203, 0x04050607], 6);
-           */
-          init: function (words, sigBytes) {
-              words = this.words = words || [];
-
-              if (sigBytes != undefined) {
-                  this.sigBytes = sigBytes;
-              } else {
-                  this.sigBytes = words.length * 4;
-              }
-          },
-
-          /**
-           * Converts this word array to a string.
-           *
-           * @param {Encoder} encoder (Optional) The encoding strategy to use. Default: CryptoJS.enc.Hex
-           *
-           * @return {string} The stringified word array.
-           *
-           * @example
-           *
-           *     var string = wordArray + '';
-           *     var string = wordArray.toString();
-           *     var string = wordArray.toString(CryptoJS.enc.Utf8);
-           */
-          toString: function (encoder) {
-              return (encoder || Hex).stringify(this);
-          },
-
-          /**
-           * Concatenates a word array to this word array.
-           *
-           * @param {WordArray} wordArray The word array to append.
-           *
-           * @return {WordArray} This word array.
-           *
-           * @example
-           *
-           *     wordArray1.concat(wordArray2);
-           */
-          concat: function (wordArray) {
-              // Shortcuts
-              var thisWords = this.words;
-              var thatWords = wordArray.words;
-              var thisSigBytes = this.sigBytes;
-              var thatSigBytes = wordArray.sigBytes;
-
-              // Clamp excess bits
-              this.clamp();
-
-              // Concat
-              if (thisSigBytes % 4) {
-                  // Copy one byte at a time
-                  for (var i = 0; i < thatSigBytes; i++) {
-                      var thatByte = (thatWords[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
-                      thisWords[(thisSigBytes + i) >>> 2] |= thatByte << (24 - ((thisSigBytes + i) % 4) * 8);
-                  }
-              } else {
-                  // Copy one word at a time
-                  for (var i = 0; i < thatSigBytes; i += 4) {
-                      thisWords[(thisSigBytes + i) >>> 2] = thatWords[i >>> 2];
-                  }
-              }
-              this.sigBytes += thatSigBytes;
-
-              // Chainable
-              return this;
-          },
-
-          /**
-           * Removes insignificant bits.
-           *
-           * @example
-           *
-           *     wordArray.clamp();
-           */
-          clamp: function () {
-              // Shortcuts
-              var words = this.words;
-              var sigBytes = this.sigBytes;
-
-              // Clamp
-              words[sigBytes >>> 2] &= 0xffffffff << (32 - (sigBytes % 4) * 8);
-              words.length = Math.ceil(sigBytes / 4);
-          },
-
-          /**
-           * Creates a copy of this word array.
-           *
-           * @return {WordArray} The clone.
-           *
-           * @example
-           *
-           *     var clone = wordArray.clone();
-           */
-          clone: function () {
-              var clone = Base.clone.call(this);
-              clone.words = this.words.slice(0);
-
-              return clone;
-          },
-
-          /**
-           * Creates a word array filled with random bytes.
-           *
-           * @param {number} nBytes The number of random bytes to generate.
-           *
-           * @return {WordArray} The random word array.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var wordArray = CryptoJS.lib.WordArray.random(16);
-           */
-          random: function (nBytes) {
-              var words = [];
-
-              var r = (function (m_w) {
-                  var m_w = m_w;
-                  var m_z = 0x3ade68b1;
-                  var mask = 0xffffffff;
-
-                  return function () {
-                      m_z = (0x9069 * (m_z & 0xFFFF) + (m_z >> 0x10)) & mask;
-                      m_w = (0x4650 * (m_w & 0xFFFF) + (m_w >> 0x10)) & mask;
-                      var result = ((m_z << 0x10) + m_w) & mask;
-                      result /= 0x100000000;
-                      result += 0.5;
-                      return result * (Math.random() > .5 ? 1 : -1);
-                  }
-              });
-
-              for (var i = 0, rcache; i < nBytes; i += 4) {
-                  var _r = r((rcache || Math.random()) * 0x100000000);
-
-                  rcache = _r() * 0x3ade67b7;
-                  words.push((_r() * 0x100000000) | 0);
-              }
-
-              return new WordArray.init(words, nBytes);
-          }
-      });
-
-      /**
-       * Encoder namespace.
-       */
-      var C_enc = C.enc = {};
-
-      /**
-       * Hex encoding strategy.
-       */
-      var Hex = C_enc.Hex = {
-          /**
-           * Converts a word array to a hex string.
-           *
-           * @param {WordArray} wordArray The word array.
-           *
-           * @return {string} The hex string.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var hexString = CryptoJS.enc.Hex.stringify(wordArray);
-           */
-          stringify: function (wordArray) {
-              // Shortcuts
-              var words = wordArray.words;
-              var sigBytes = wordArray.sigBytes;
-
-              // Convert
-              var hexChars = [];
-              for (var i = 0; i < sigBytes; i++) {
-                  var bite = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
-                  hexChars.push((bite >>> 4).toString(16));
-                  hexChars.push((bite & 0x0f).toString(16));
-              }
-
-              return hexChars.join('');
-          },
-
-          /**
-           * Converts a hex string to a word array.
-           *
-           * @param {string} hexStr The hex string.
-           *
-           * @return {WordArray} The word array.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var wordArray = CryptoJS.enc.Hex.parse(hexString);
-           */
-          parse: function (hexStr) {
-              // Shortcut
-              var hexStrLength = hexStr.length;
-
-              // Convert
-              var words = [];
-              for (var i = 0; i < hexStrLength; i += 2) {
-                  words[i >>> 3] |= parseInt(hexStr.substr(i, 2), 16) << (24 - (i % 8) * 4);
-              }
-
-              return new WordArray.init(words, hexStrLength / 2);
-          }
-      };
-
-      /**
-       * Latin1 encoding strategy.
-       */
-      var Latin1 = C_enc.Latin1 = {
-          /**
-           * Converts a word array to a Latin1 string.
-           *
-           * @param {WordArray} wordArray The word array.
-           *
-           * @return {string} The Latin1 string.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var latin1String = CryptoJS.enc.Latin1.stringify(wordArray);
-           */
-          stringify: function (wordArray) {
-              // Shortcuts
-              var words = wordArray.words;
-              var sigBytes = wordArray.sigBytes;
-
-              // Convert
-              var latin1Chars = [];
-              for (var i = 0; i < sigBytes; i++) {
-                  var bite = (words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xff;
-                  latin1Chars.push(String.fromCharCode(bite));
-              }
-
-              return latin1Chars.join('');
-          },
-
-          /**
-           * Converts a Latin1 string to a word array.
-           *
-           * @param {string} latin1Str The Latin1 string.
-           *
-           * @return {WordArray} The word array.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var wordArray = CryptoJS.enc.Latin1.parse(latin1String);
-           */
-          parse: function (latin1Str) {
-              // Shortcut
-              var latin1StrLength = latin1Str.length;
-
-              // Convert
-              var words = [];
-              for (var i = 0; i < latin1StrLength; i++) {
-                  words[i >>> 2] |= (latin1Str.charCodeAt(i) & 0xff) << (24 - (i % 4) * 8);
-              }
-
-              return new WordArray.init(words, latin1StrLength);
-          }
-      };
-
-      /**
-       * UTF-8 encoding strategy.
-       */
-      var Utf8 = C_enc.Utf8 = {
-          /**
-           * Converts a word array to a UTF-8 string.
-           *
-           * @param {WordArray} wordArray The word array.
-           *
-           * @return {string} The UTF-8 string.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var utf8String = CryptoJS.enc.Utf8.stringify(wordArray);
-           */
-          stringify: function (wordArray) {
-              try {
-                  return decodeURIComponent(escape(Latin1.stringify(wordArray)));
-              } catch (e) {
-                  throw new Error('Malformed UTF-8 data');
-              }
-          },
-
-          /**
-           * Converts a UTF-8 string to a word array.
-           *
-           * @param {string} utf8Str The UTF-8 string.
-           *
-           * @return {WordArray} The word array.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var wordArray = CryptoJS.enc.Utf8.parse(utf8String);
-           */
-          parse: function (utf8Str) {
-              return Latin1.parse(unescape(encodeURIComponent(utf8Str)));
-          }
-      };
-
-      /**
-       * Abstract buffered block algorithm template.
-       *
-       * The property blockSize must be implemented in a concrete subtype.
-       *
-       * @property {number} _minBufferSize The number of blocks that should be kept unprocessed in the buffer. Default: 0
-       */
-      var BufferedBlockAlgorithm = C_lib.BufferedBlockAlgorithm = Base.extend({
-          /**
-           * Resets this block algorithm's data buffer to its initial state.
-           *
-           * @example
-           *
-           *     bufferedBlockAlgorithm.reset();
-           */
-          reset: function () {
-              // Initial values
-              this._data = new WordArray.init();
-              this._nDataBytes = 0;
-          },
-
-          /**
-           * Adds new data to this block algorithm's buffer.
-           *
-           * @param {WordArray|string} data The data to append. Strings are converted to a WordArray using UTF-8.
-           *
-           * @example
-           *
-           *     bufferedBlockAlgorithm._append('data');
-           *     bufferedBlockAlgorithm._append(wordArray);
-           */
-          _append: function (data) {
-              // Convert string to WordArray, else assume WordArray already
-              if (typeof data == 'string') {
-                  data = Utf8.parse(data);
-              }
-
-              // Append
-              this._data.concat(data);
-              this._nDataBytes += data.sigBytes;
-          },
-
-          /**
-           * Processes available data blocks.
-           *
-           * This method invokes _doProcessBlock(offset), which must be implemented by a concrete subtype.
-           *
-           * @param {boolean} doFlush Whether all blocks and partial blocks should be processed.
-           *
-           * @return {WordArray} The processed data.
-           *
-           * @example
-           *
-           *     var processedData = bufferedBlockAlgorithm._process();
-           *     var processedData = bufferedBlockAlgorithm._process(!!'flush');
-           */
-          _process: function (doFlush) {
-              // Shortcuts
-              var data = this._data;
-              var dataWords = data.words;
-              var dataSigBytes = data.sigBytes;
-              var blockSize = this.blockSize;
-              var blockSizeBytes = blockSize * 4;
-
-              // Count blocks ready
-              var nBlocksReady = dataSigBytes / blockSizeBytes;
-              if (doFlush) {
-                  // Round up to include partial blocks
-                  nBlocksReady = Math.ceil(nBlocksReady);
-              } else {
-                  // Round down to include only full blocks,
-                  // less the number of blocks that must remain in the buffer
-                  nBlocksReady = Math.max((nBlocksReady | 0) - this._minBufferSize, 0);
-              }
-
-              // Count words ready
-              var nWordsReady = nBlocksReady * blockSize;
-
-              // Count bytes ready
-              var nBytesReady = Math.min(nWordsReady * 4, dataSigBytes);
-
-              // Process blocks
-              if (nWordsReady) {
-                  for (var offset = 0; offset < nWordsReady; offset += blockSize) {
-                      // Perform concrete-algorithm logic
-                      this._doProcessBlock(dataWords, offset);
-                  }
-
-                  // Remove processed words
-                  var processedWords = dataWords.splice(0, nWordsReady);
-                  data.sigBytes -= nBytesReady;
-              }
-
-              // Return processed words
-              return new WordArray.init(processedWords, nBytesReady);
-          },
-
-          /**
-           * Creates a copy of this object.
-           *
-           * @return {Object} The clone.
-           *
-           * @example
-           *
-           *     var clone = bufferedBlockAlgorithm.clone();
-           */
-          clone: function () {
-              var clone = Base.clone.call(this);
-              clone._data = this._data.clone();
-
-              return clone;
-          },
-
-          _minBufferSize: 0
-      });
-
-      /**
-       * Abstract hasher template.
-       *
-       * @property {number} blockSize The number of 32-bit words this hasher operates on. Default: 16 (512 bits)
-       */
-      var Hasher = C_lib.Hasher = BufferedBlockAlgorithm.extend({
-          /**
-           * Configuration options.
-           */
-          cfg: Base.extend(),
-
-          /**
-           * Initializes a newly created hasher.
-           *
-           * @param {Object} cfg (Optional) The configuration options to use for this hash computation.
-           *
-           * @example
-           *
-           *     var hasher = CryptoJS.algo.SHA256.create();
-           */
-          init: function (cfg) {
-              // Apply config defaults
-              this.cfg = this.cfg.extend(cfg);
-
-              // Set initial values
-              this.reset();
-          },
-
-          /**
-           * Resets this hasher to its initial state.
-           *
-           * @example
-           *
-           *     hasher.reset();
-           */
-          reset: function () {
-              // Reset data buffer
-              BufferedBlockAlgorithm.reset.call(this);
-
-              // Perform concrete-hasher logic
-              this._doReset();
-          },
-
-          /**
-           * Updates this hasher with a message.
-           *
-           * @param {WordArray|string} messageUpdate The message to append.
-           *
-           * @return {Hasher} This hasher.
-           *
-           * @example
-           *
-           *     hasher.update('message');
-           *     hasher.update(wordArray);
-           */
-          update: function (messageUpdate) {
-              // Append
-              this._append(messageUpdate);
-
-              // Update the hash
-              this._process();
-
-              // Chainable
-              return this;
-          },
-
-          /**
-           * Finalizes the hash computation.
-           * Note that the finalize operation is effectively a destructive, read-once operation.
-           *
-           * @param {WordArray|string} messageUpdate (Optional) A final message update.
-           *
-           * @return {WordArray} The hash.
-           *
-           * @example
-           *
-           *     var hash = hasher.finalize();
-           *     var hash = hasher.finalize('message');
-           *     var hash = hasher.finalize(wordArray);
-           */
-          finalize: function (messageUpdate) {
-              // Final message update
-              if (messageUpdate) {
-                  this._append(messageUpdate);
-              }
-
-              // Perform concrete-hasher logic
-              var hash = this._doFinalize();
-
-              return hash;
-          },
-
-          blockSize: 512/32,
-
-          /**
-           * Creates a shortcut function to a hasher's object interface.
-           *
-           * @param {Hasher} hasher The hasher to create a helper for.
-           *
-           * @return {Function} The shortcut function.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var SHA256 = CryptoJS.lib.Hasher._createHelper(CryptoJS.algo.SHA256);
-           */
-          _createHelper: function (hasher) {
-              return function (message, cfg) {
-                  return new hasher.init(cfg).finalize(message);
-              };
-          },
-
-          /**
-           * Creates a shortcut function to the HMAC's object interface.
-           *
-           * @param {Hasher} hasher The hasher to use in this HMAC helper.
-           *
-           * @return {Function} The shortcut function.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var HmacSHA256 = CryptoJS.lib.Hasher._createHmacHelper(CryptoJS.algo.SHA256);
-           */
-          _createHmacHelper: function (hasher) {
-              return function (message, key) {
-                  return new C_algo.HMAC.init(hasher, key).finalize(message);
-              };
-          }
-      });
-
-      /**
-       * Algorithm namespace.
-       */
-      var C_algo = C.algo = {};
-
-      return C;
-  }(Math));
-
-
-  return CryptoJS;
-
-}));
-
-
-;(function (root, factory) {
-  if (typeof exports === "object") {
-    // CommonJS
-    module.exports = exports = factory(require("./core"));
-  }
-  else if (typeof define === "function" && define.amd) {
-    // AMD
-    define(["./core"], factory);
-  }
-  else {
-    // Global (browser)
-    factory(root.CryptoJS);
-  }
-}(this, function (CryptoJS) {
-
-  /**
-   * Cipher core components.
-   */
-  CryptoJS.lib.Cipher || (function (undefined) {
-      // Shortcuts
-      var C = CryptoJS;
-      var C_lib = C.lib;
-      var Base = C_lib.Base;
-      var WordArray = C_lib.WordArray;
-      var BufferedBlockAlgorithm = C_lib.BufferedBlockAlgorithm;
-      var C_enc = C.enc;
-      var Utf8 = C_enc.Utf8;
-      var Base64 = C_enc.Base64;
-      var C_algo = C.algo;
-      var EvpKDF = C_algo.EvpKDF;
-
-      /**
-       * Abstract base cipher template.
-       *
-       * @property {number} keySize This cipher's key size. Default: 4 (128 bits)
-       * @property {number} ivSize This cipher's IV size. Default: 4 (128 bits)
-       * @property {number} _ENC_XFORM_MODE A constant representing encryption mode.
-       * @property {number} _DEC_XFORM_MODE A constant representing decryption mode.
-       */
-      var Cipher = C_lib.Cipher = BufferedBlockAlgorithm.extend({
-          /**
-           * Configuration options.
-           *
-           * @property {WordArray} iv The IV to use for this operation.
-           */
-          cfg: Base.extend(),
-
-          /**
-           * Creates this cipher in encryption mode.
-           *
-           * @param {WordArray} key The key.
-           * @param {Object} cfg (Optional) The configuration options to use for this operation.
-           *
-           * @return {Cipher} A cipher instance.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var cipher = CryptoJS.algo.AES.createEncryptor(keyWordArray, { iv: ivWordArray });
-           */
-          createEncryptor: function (key, cfg) {
-              return this.create(this._ENC_XFORM_MODE, key, cfg);
-          },
-
-          /**
-           * Creates this cipher in decryption mode.
-           *
-           * @param {WordArray} key The key.
-           * @param {Object} cfg (Optional) The configuration options to use for this operation.
-           *
-           * @return {Cipher} A cipher instance.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var cipher = CryptoJS.algo.AES.createDecryptor(keyWordArray, { iv: ivWordArray });
-           */
-          createDecryptor: function (key, cfg) {
-              return this.create(this._DEC_XFORM_MODE, key, cfg);
-          },
-
-          /**
-           * Initializes a newly created cipher.
-           *
-           * @param {number} xformMode Either the encryption or decryption transormation mode constant.
-           * @param {WordArray} key The key.
-           * @param {Object} cfg (Optional) The configuration options to use for this operation.
-           *
-           * @example
-           *
-           *     var cipher = CryptoJS.algo.AES.create(CryptoJS.algo.AES._ENC_XFORM_MODE, keyWordArray, { iv: ivWordArray });
-           */
-          init: function (xformMode, key, cfg) {
-              // Apply config defaults
-              this.cfg = this.cfg.extend(cfg);
-
-              // Store transform mode and key
-              this._xformMode = xformMode;
-              this._key = key;
-
-              // Set initial values
-              this.reset();
-          },
-
-          /**
-           * Resets this cipher to its initial state.
-           *
-           * @example
-           *
-           *     cipher.reset();
-           */
-          reset: function () {
-              // Reset data buffer
-              BufferedBlockAlgorithm.reset.call(this);
-
-              // Perform concrete-cipher logic
-              this._doReset();
-          },
-
-          /**
-           * Adds data to be encrypted or decrypted.
-           *
-           * @param {WordArray|string} dataUpdate The data to encrypt or decrypt.
-           *
-           * @return {WordArray} The data after processing.
-           *
-           * @example
-           *
-           *     var encrypted = cipher.process('data');
-           *     var encrypted = cipher.process(wordArray);
-           */
-          process: function (dataUpdate) {
-              // Append
-              this._append(dataUpdate);
-
-              // Process available blocks
-              return this._process();
-          },
-
-          /**
-           * Finalizes the encryption or decryption process.
-           * Note that the finalize operation is effectively a destructive, read-once operation.
-           *
-           * @param {WordArray|string} dataUpdate The final data to encrypt or decrypt.
-           *
-           * @return {WordArray} The data after final processing.
-           *
-           * @example
-           *
-           *     var encrypted = cipher.finalize();
-           *     var encrypted = cipher.finalize('data');
-           *     var encrypted = cipher.finalize(wordArray);
-           */
-          finalize: function (dataUpdate) {
-              // Final data update
-              if (dataUpdate) {
-                  this._append(dataUpdate);
-              }
-
-              // Perform concrete-cipher logic
-              var finalProcessedData = this._doFinalize();
-
-              return finalProcessedData;
-          },
-
-          keySize: 128/32,
-
-          ivSize: 128/32,
-
-          _ENC_XFORM_MODE: 1,
-
-          _DEC_XFORM_MODE: 2,
-
-          /**
-           * Creates shortcut functions to a cipher's object interface.
-           *
-           * @param {Cipher} cipher The cipher to create a helper for.
-           *
-           * @return {Object} An object with encrypt and decrypt shortcut functions.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var AES = CryptoJS.lib.Cipher._createHelper(CryptoJS.algo.AES);
-           */
-          _createHelper: (function () {
-              function selectCipherStrategy(key) {
-                  if (typeof key == 'string') {
-                      return PasswordBasedCipher;
-                  } else {
-                      return SerializableCipher;
-                  }
-              }
-
-              return function (cipher) {
-                  return {
-                      encrypt: function (message, key, cfg) {
-                          return selectCipherStrategy(key).encrypt(cipher, message, key, cfg);
-                      },
-
-                      decrypt: function (ciphertext, key, cfg) {
-                          return selectCipherStrategy(key).decrypt(cipher, ciphertext, key, cfg);
-                      }
-                  };
-              };
-          }())
-      });
-
-      /**
-       * Abstract base stream cipher template.
-       *
-       * @property {number} blockSize The number of 32-bit words this cipher operates on. Default: 1 (32 bits)
-       */
-      var StreamCipher = C_lib.StreamCipher = Cipher.extend({
-          _doFinalize: function () {
-              // Process partial blocks
-              var finalProcessedBlocks = this._process(!!'flush');
-
-              return finalProcessedBlocks;
-          },
-
-          blockSize: 1
-      });
-
-      /**
-       * Mode namespace.
-       */
-      var C_mode = C.mode = {};
-
-      /**
-       * Abstract base block cipher mode template.
-       */
-      var BlockCipherMode = C_lib.BlockCipherMode = Base.extend({
-          /**
-           * Creates this mode for encryption.
-           *
-           * @param {Cipher} cipher A block cipher instance.
-           * @param {Array} iv The IV words.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var mode = CryptoJS.mode.CBC.createEncryptor(cipher, iv.words);
-           */
-          createEncryptor: function (cipher, iv) {
-              return this.Encryptor.create(cipher, iv);
-          },
-
-          /**
-           * Creates this mode for decryption.
-           *
-           * @param {Cipher} cipher A block cipher instance.
-           * @param {Array} iv The IV words.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var mode = CryptoJS.mode.CBC.createDecryptor(cipher, iv.words);
-           */
-          createDecryptor: function (cipher, iv) {
-              return this.Decryptor.create(cipher, iv);
-          },
-
-          /**
-           * Initializes a newly created mode.
-           *
-           * @param {Cipher} cipher A block cipher instance.
-           * @param {Array} iv The IV words.
-           *
-           * @example
-           *
-           *     var mode = CryptoJS.mode.CBC.Encryptor.create(cipher, iv.words);
-           */
-          init: function (cipher, iv) {
-              this._cipher = cipher;
-              this._iv = iv;
-          }
-      });
-
-      /**
-       * Cipher Block Chaining mode.
-       */
-      var CBC = C_mode.CBC = (function () {
-          /**
-           * Abstract base CBC mode.
-           */
-          var CBC = BlockCipherMode.extend();
-
-          /**
-           * CBC encryptor.
-           */
-          CBC.Encryptor = CBC.extend({
-              /**
-               * Processes the data block at offset.
-               *
-               * @param {Array} words The data words to operate on.
-               * @param {number} offset The offset where the block starts.
-               *
-               * @example
-               *
-               *     mode.processBlock(data.words, offset);
-               */
-              processBlock: function (words, offset) {
-                  // Shortcuts
-                  var cipher = this._cipher;
-                  var blockSize = cipher.blockSize;
-
-                  // XOR and encrypt
-                  xorBlock.call(this, words, offset, blockSize);
-                  cipher.encryptBlock(words, offset);
-
-                  // Remember this block to use with next block
-                  this._prevBlock = words.slice(offset, offset + blockSize);
-              }
-          });
-
-          /**
-           * CBC decryptor.
-           */
-          CBC.Decryptor = CBC.extend({
-              /**
-               * Processes the data block at offset.
-               *
-               * @param {Array} words The data words to operate on.
-               * @param {number} offset The offset where the block starts.
-               *
-               * @example
-               *
-               *     mode.processBlock(data.words, offset);
-               */
-              processBlock: function (words, offset) {
-                  // Shortcuts
-                  var cipher = this._cipher;
-                  var blockSize = cipher.blockSize;
-
-                  // Remember this block to use with next block
-                  var thisBlock = words.slice(offset, offset + blockSize);
-
-                  // Decrypt and XOR
-                  cipher.decryptBlock(words, offset);
-                  xorBlock.call(this, words, offset, blockSize);
-
-                  // This block becomes the previous block
-                  this._prevBlock = thisBlock;
-              }
-          });
-
-          CBC.reinitOK = true;
-
-          function xorBlock(words, offset, blockSize) {
-              // Shortcut
-              var iv = this._iv;
-
-              // Choose mixing block
-              if (iv) {
-                  var block = iv;
-
-                  // Remove IV for subsequent blocks
-                  this._iv = undefined;
-              } else {
-                  var block = this._prevBlock;
-              }
-
-              // XOR blocks
-              for (var i = 0; i < blockSize; i++) {
-                  words[offset + i] ^= block[i];
-              }
-          }
-
-          return CBC;
-      }());
-
-      /**
-       * Padding namespace.
-       */
-      var C_pad = C.pad = {};
-
-      /**
-       * PKCS #5/7 padding strategy.
-       */
-      var Pkcs7 = C_pad.Pkcs7 = {
-          /**
-           * Pads data using the algorithm defined in PKCS #5/7.
-           *
-           * @param {WordArray} data The data to pad.
-           * @param {number} blockSize The multiple that the data should be padded to.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     CryptoJS.pad.Pkcs7.pad(wordArray, 4);
-           */
-          pad: function (data, blockSize) {
-              // Shortcut
-              var blockSizeBytes = blockSize * 4;
-
-              // Count padding bytes
-              var nPaddingBytes = blockSizeBytes - data.sigBytes % blockSizeBytes;
-
-              // Create padding word
-              var paddingWord = (nPaddingBytes << 24) | (nPaddingBytes << 16) | (nPaddingBytes << 8) | nPaddingBytes;
-
-              // Create padding
-              var paddingWords = [];
-              for (var i = 0; i < nPaddingBytes; i += 4) {
-                  paddingWords.push(paddingWord);
-              }
-              var padding = WordArray.create(paddingWords, nPaddingBytes);
-
-              // Add padding
-              data.concat(padding);
-          },
-
-          /**
-           * Unpads data that had been padded using the algorithm defined in PKCS #5/7.
-           *
-           * @param {WordArray} data The data to unpad.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     CryptoJS.pad.Pkcs7.unpad(wordArray);
-           */
-          unpad: function (data) {
-              // Get number of padding bytes from last byte
-              var nPaddingBytes = data.words[(data.sigBytes - 1) >>> 2] & 0xff;
-
-              // Remove padding
-              data.sigBytes -= nPaddingBytes;
-          }
-      };
-
-      /**
-       * Abstract base block cipher template.
-       *
-       * @property {number} blockSize The number of 32-bit words this cipher operates on. Default: 4 (128 bits)
-       */
-      var BlockCipher = C_lib.BlockCipher = Cipher.extend({
-          /**
-           * Configuration options.
-           *
-           * @property {Mode} mode The block mode to use. Default: CBC
-           * @property {Padding} padding The padding strategy to use. Default: Pkcs7
-           */
-          cfg: Cipher.cfg.extend({
-              mode: CBC,
-              padding: Pkcs7
-          }),
-
-          reset: function () {
-              // Reset cipher
-              Cipher.reset.call(this);
-
-              // Shortcuts
-              var cfg = this.cfg;
-              var iv = cfg.iv;
-              var mode = cfg.mode;
-
-              if (this._mode && mode.reinitOK) {
-                  this._mode.init(this, iv && iv.words);
-              } else {
-                  // Reset block mode
-                  if (this._xformMode == this._ENC_XFORM_MODE) {
-                      var modeCreator = mode.createEncryptor;
-                  } else /* if (this._xformMode == this._DEC_XFORM_MODE) */ {
-                      var modeCreator = mode.createDecryptor;
-
-                      // Keep at least one block in the buffer for unpadding
-                      this._minBufferSize = 1;
-                  }
-                  this._mode = modeCreator.call(mode, this, iv && iv.words);
-              }
-          },
-
-          _doProcessBlock: function (words, offset) {
-              this._mode.processBlock(words, offset);
-          },
-
-          _doFinalize: function () {
-              // Shortcut
-              var padding = this.cfg.padding;
-
-              // Finalize
-              if (this._xformMode == this._ENC_XFORM_MODE) {
-                  // Pad data
-                  padding.pad(this._data, this.blockSize);
-
-                  // Process final blocks
-                  var finalProcessedBlocks = this._process(!!'flush');
-              } else /* if (this._xformMode == this._DEC_XFORM_MODE) */ {
-                  // Process final blocks
-                  var finalProcessedBlocks = this._process(!!'flush');
-
-                  // Unpad data
-                  padding.unpad(finalProcessedBlocks);
-              }
-
-              return finalProcessedBlocks;
-          },
-
-          blockSize: 128/32
-      });
-
-      /**
-       * A collection of cipher parameters.
-       *
-       * @property {WordArray} ciphertext The raw ciphertext.
-       * @property {WordArray} key The key to this ciphertext.
-       * @property {WordArray} iv The IV used in the ciphering operation.
-       * @property {WordArray} salt The salt used with a key derivation function.
-       * @property {Cipher} algorithm The cipher algorithm.
-       * @property {Mode} mode The block mode used in the ciphering operation.
-       * @property {Padding} padding The padding scheme used in the ciphering operation.
-       * @property {number} blockSize The block size of the cipher.
-       * @property {Format} formatter The default formatting strategy to convert this cipher params object to a string.
-       */
-      var CipherParams = C_lib.CipherParams = Base.extend({
-          /**
-           * Initializes a newly created cipher params object.
-           *
-           * @param {Object} cipherParams An object with any of the possible cipher parameters.
-           *
-           * @example
-           *
-           *     var cipherParams = CryptoJS.lib.CipherParams.create({
-           *         ciphertext: ciphertextWordArray,
-           *         key: keyWordArray,
-           *         iv: ivWordArray,
-           *         salt: saltWordArray,
-           *         algorithm: CryptoJS.algo.AES,
-           *         mode: CryptoJS.mode.CBC,
-           *         padding: CryptoJS.pad.PKCS7,
-           *         blockSize: 4,
-           *         formatter: CryptoJS.format.OpenSSL
-           *     });
-           */
-          init: function (cipherParams) {
-              this.mixIn(cipherParams);
-          },
-
-          /**
-           * Converts this cipher params object to a string.
-           *
-           * @param {Format} formatter (Optional) The formatting strategy to use.
-           *
-           * @return {string} The stringified cipher params.
-           *
-           * @throws Error If neither the formatter nor the default formatter is set.
-           *
-           * @example
-           *
-           *     var string = cipherParams + '';
-           *     var string = cipherParams.toString();
-           *     var string = cipherParams.toString(CryptoJS.format.OpenSSL);
-           */
-          toString: function (formatter) {
-              return (formatter || this.formatter).stringify(this);
-          }
-      });
-
-      /**
-       * Format namespace.
-       */
-      var C_format = C.format = {};
-
-      /**
-       * OpenSSL formatting strategy.
-       */
-      var OpenSSLFormatter = C_format.OpenSSL = {
-          /**
-           * Converts a cipher params object to an OpenSSL-compatible string.
-           *
-           * @param {CipherParams} cipherParams The cipher params object.
-           *
-           * @return {string} The OpenSSL-compatible string.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var openSSLString = CryptoJS.format.OpenSSL.stringify(cipherParams);
-           */
-          stringify: function (cipherParams) {
-              // Shortcuts
-              var ciphertext = cipherParams.ciphertext;
-              var salt = cipherParams.salt;
-
-              // Format
-              if (salt) {
-                  var wordArray = WordArray.create([0x53616c74, 0x65645f5f]).concat(salt).concat(ciphertext);
-              } else {
-                  var wordArray = ciphertext;
-              }
-
-              return wordArray.toString(Base64);
-          },
-
-          /**
-           * Converts an OpenSSL-compatible string to a cipher params object.
-           *
-           * @param {string} openSSLStr The OpenSSL-compatible string.
-           *
-           * @return {CipherParams} The cipher params object.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var cipherParams = CryptoJS.format.OpenSSL.parse(openSSLString);
-           */
-          parse: function (openSSLStr) {
-              // Parse base64
-              var ciphertext = Base64.parse(openSSLStr);
-
-              // Shortcut
-              var ciphertextWords = ciphertext.words;
-
-              // Test for salt
-              if (ciphertextWords[0] == 0x53616c74 && ciphertextWords[1] == 0x65645f5f) {
-                  // Extract salt
-                  var salt = WordArray.create(ciphertextWords.slice(2, 4));
-
-                  // Remove salt from ciphertext
-                  ciphertextWords.splice(0, 4);
-                  ciphertext.sigBytes -= 16;
-              }
-
-              return CipherParams.create({ ciphertext: ciphertext, salt: salt });
-          }
-      };
-
-      /**
-       * A cipher wrapper that returns ciphertext as a serializable cipher params object.
-       */
-      var SerializableCipher = C_lib.SerializableCipher = Base.extend({
-          /**
-           * Configuration options.
-           *
-           * @property {Formatter} format The formatting strategy to convert cipher param objects to and from a string. Default: OpenSSL
-           */
-          cfg: Base.extend({
-              format: OpenSSLFormatter
-          }),
-
-          /**
-           * Encrypts a message.
-           *
-           * @param {Cipher} cipher The cipher algorithm to use.
-           * @param {WordArray|string} message The message to encrypt.
-           * @param {WordArray} key The key.
-           * @param {Object} cfg (Optional) The configuration options to use for this operation.
-           *
-           * @return {CipherParams} A cipher params object.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var ciphertextParams = CryptoJS.lib.SerializableCipher.encrypt(CryptoJS.algo.AES, message, key);
-           *     var ciphertextParams = CryptoJS.lib.SerializableCipher.encrypt(CryptoJS.algo.AES, message, key, { iv: iv });
-           *     var ciphertextParams = CryptoJS.lib.SerializableCipher.encrypt(CryptoJS.algo.AES, message, key, { iv: iv, format: CryptoJS.format.OpenSSL });
-           */
-          encrypt: function (cipher, message, key, cfg) {
-              // Apply config defaults
-              cfg = this.cfg.extend(cfg);
-
-              // Encrypt
-              var encryptor = cipher.createEncryptor(key, cfg);
-              var ciphertext = encryptor.finalize(message);
-
-              // Shortcut
-              var cipherCfg = encryptor.cfg;
-
-              // Create and return serializable cipher params
-              return CipherParams.create({
-                  ciphertext: ciphertext,
-                  key: key,
-                  iv: cipherCfg.iv,
-                  algorithm: cipher,
-                  mode: cipherCfg.mode,
-                  padding: cipherCfg.padding,
-                  blockSize: cipher.blockSize,
-                  formatter: cfg.format
-              });
-          },
-
-          /**
-           * Decrypts serialized ciphertext.
-           *
-           * @param {Cipher} cipher The cipher algorithm to use.
-           * @param {CipherParams|string} ciphertext The ciphertext to decrypt.
-           * @param {WordArray} key The key.
-           * @param {Object} cfg (Optional) The configuration options to use for this operation.
-           *
-           * @return {WordArray} The plaintext.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var plaintext = CryptoJS.lib.SerializableCipher.decrypt(CryptoJS.algo.AES, formattedCiphertext, key, { iv: iv, format: CryptoJS.format.OpenSSL });
-           *     var plaintext = CryptoJS.lib.SerializableCipher.decrypt(CryptoJS.algo.AES, ciphertextParams, key, { iv: iv, format: CryptoJS.format.OpenSSL });
-           */
-          decrypt: function (cipher, ciphertext, key, cfg) {
-              // Apply config defaults
-              cfg = this.cfg.extend(cfg);
-
-              // Convert string to CipherParams
-              ciphertext = this._parse(ciphertext, cfg.format);
-
-              // Decrypt
-              var plaintext = cipher.createDecryptor(key, cfg).finalize(ciphertext.ciphertext);
-
-              return plaintext;
-          },
-
-          /**
-           * Converts serialized ciphertext to CipherParams,
-           * else assumed CipherParams already and returns ciphertext unchanged.
-           *
-           * @param {CipherParams|string} ciphertext The ciphertext.
-           * @param {Formatter} format The formatting strategy to use to parse serialized ciphertext.
-           *
-           * @return {CipherParams} The unserialized ciphertext.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var ciphertextParams = CryptoJS.lib.SerializableCipher._parse(ciphertextStringOrParams, format);
-           */
-          _parse: function (ciphertext, format) {
-              if (typeof ciphertext == 'string') {
-                  return format.parse(ciphertext, this);
-              } else {
-                  return ciphertext;
-              }
-          }
-      });
-
-      /**
-       * Key derivation function namespace.
-       */
-      var C_kdf = C.kdf = {};
-
-      /**
-       * OpenSSL key derivation function.
-       */
-      var OpenSSLKdf = C_kdf.OpenSSL = {
-          /**
-           * Derives a key and IV from a password.
-           *
-           * @param {string} password The password to derive from.
-           * @param {number} keySize The size in words of the key to generate.
-           * @param {number} ivSize The size in words of the IV to generate.
-           * @param {WordArray|string} salt (Optional) A 64-bit salt to use. If omitted, a salt will be generated randomly.
-           *
-           * @return {CipherParams} A cipher params object with the key, IV, and salt.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var derivedParams = CryptoJS.kdf.OpenSSL.execute('Password', 256/32, 128/32);
-           *     var derivedParams = CryptoJS.kdf.OpenSSL.execute('Password', 256/32, 128/32, 'saltsalt');
-           */
-          execute: function (password, keySize, ivSize, salt) {
-              // Generate random salt
-              if (!salt) {
-                  salt = WordArray.random(64/8);
-              }
-
-              // Derive key and IV
-              var key = EvpKDF.create({ keySize: keySize + ivSize }).compute(password, salt);
-
-              // Separate key and IV
-              var iv = WordArray.create(key.words.slice(keySize), ivSize * 4);
-              key.sigBytes = keySize * 4;
-
-              // Return params
-              return CipherParams.create({ key: key, iv: iv, salt: salt });
-          }
-      };
-
-      /**
-       * A serializable cipher wrapper that derives the key from a password,
-       * and returns ciphertext as a serializable cipher params object.
-       */
-      var PasswordBasedCipher = C_lib.PasswordBasedCipher = SerializableCipher.extend({
-          /**
-           * Configuration options.
-           *
-           * @property {KDF} kdf The key derivation function to use to generate a key and IV from a password. Default: OpenSSL
-           */
-          cfg: SerializableCipher.cfg.extend({
-              kdf: OpenSSLKdf
-          }),
-
-          /**
-           * Encrypts a message using a password.
-           *
-           * @param {Cipher} cipher The cipher algorithm to use.
-           * @param {WordArray|string} message The message to encrypt.
-           * @param {string} password The password.
-           * @param {Object} cfg (Optional) The configuration options to use for this operation.
-           *
-           * @return {CipherParams} A cipher params object.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var ciphertextParams = CryptoJS.lib.PasswordBasedCipher.encrypt(CryptoJS.algo.AES, message, 'password');
-           *     var ciphertextParams = CryptoJS.lib.PasswordBasedCipher.encrypt(CryptoJS.algo.AES, message, 'password', { format: CryptoJS.format.OpenSSL });
-           */
-          encrypt: function (cipher, message, password, cfg) {
-              // Apply config defaults
-              cfg = this.cfg.extend(cfg);
-
-              // Derive key and other params
-              var derivedParams = cfg.kdf.execute(password, cipher.keySize, cipher.ivSize);
-
-              // Add IV to config
-              cfg.iv = derivedParams.iv;
-
-              // Encrypt
-              var ciphertext = SerializableCipher.encrypt.call(this, cipher, message, derivedParams.key, cfg);
-
-              // Mix in derived params
-              ciphertext.mixIn(derivedParams);
-
-              return ciphertext;
-          },
-
-          /**
-           * Decrypts serialized ciphertext using a password.
-           *
-           * @param {Cipher} cipher The cipher algorithm to use.
-           * @param {CipherParams|string} ciphertext The ciphertext to decrypt.
-           * @param {string} password The password.
-           * @param {Object} cfg (Optional) The configuration options to use for this operation.
-           *
-           * @return {WordArray} The plaintext.
-           *
-           * @static
-           *
-           * @example
-           *
-           *     var plaintext = CryptoJS.lib.PasswordBasedCipher.decrypt(CryptoJS.algo.AES, formattedCiphertext, 'password', { format: CryptoJS.format.OpenSSL });
-           *     var plaintext = CryptoJS.lib.PasswordBasedCipher.decrypt(CryptoJS.algo.AES, ciphertextParams, 'password', { format: CryptoJS.format.OpenSSL });
-           */
-          decrypt: function (cipher, ciphertext, password, cfg) {
-              // Apply config defaults
-              cfg = this.cfg.extend(cfg);
-
-              // Convert string to CipherParams
-              ciphertext = this._parse(ciphertext, cfg.format);
-
-              // Derive key and other params
-              var derivedParams = cfg.kdf.execute(password, cipher.keySize, cipher.ivSize, ciphertext.salt);
-
-              // Add IV to config
-              cfg.iv = derivedParams.iv;
-
-              // Decrypt
-              var plaintext = SerializableCipher.decrypt.call(this, cipher, ciphertext, derivedParams.key, cfg);
-
-              return plaintext;
-          }
-      });
-  }());
-
-
-}));
-
-
-;(function (root, factory, undef) {
-  if (typeof exports === "object") {
-    // CommonJS
-    module.exports = exports = factory(require("./core"), require("./enc-base64"), require("./md5"), require("./evpkdf"), require("./cipher-core"));
-  }
-  else if (typeof define === "function" && define.amd) {
-    // AMD
-    define(["./core", "./enc-base64", "./md5", "./evpkdf", "./cipher-core"], factory);
-  }
-  else {
-    // Global (browser)
-    factory(root.CryptoJS);
-  }
-}(this, function (CryptoJS) {
-
-  (function () {
-      // Shortcuts
-      var C = CryptoJS;
-      var C_lib = C.lib;
-      var BlockCipher = C_lib.BlockCipher;
-      var C_algo = C.algo;
-
-      // Lookup tables
-      var SBOX = [];
-      var INV_SBOX = [];
-      var SUB_MIX_0 = [];
-      var SUB_MIX_1 = [];
-      var SUB_MIX_2 = [];
-      var SUB_MIX_3 = [];
-      var INV_SUB_MIX_0 = [];
-      var INV_SUB_MIX_1 = [];
-      var INV_SUB_MIX_2 = [];
-      var INV_SUB_MIX_3 = [];
-
-      // Compute lookup tables
-      (function () {
-          // Compute double table
-          var d = [];
-          for (var i = 0; i < 256; i++) {
-              if (i < 128) {
-                  d[i] = i << 1;
-              } else {
-                  d[i] = (i << 1) ^ 0x11b;
-              }
-          }
-
-          // Walk GF(2^8)
-          var x = 0;
-          var xi = 0;
-          for (var i = 0; i < 256; i++) {
-              // Compute sbox
-              var sx = xi ^ (xi << 1) ^ (xi << 2) ^ (xi << 3) ^ (xi << 4);
-              sx = (sx >>> 8) ^ (sx & 0xff) ^ 0x63;
-              SBOX[x] = sx;
-              INV_SBOX[sx] = x;
-
-              // Compute multiplication
-              var x2 = d[x];
-              var x4 = d[x2];
-              var x8 = d[x4];
-
-              // Compute sub bytes, mix columns tables
-              var t = (d[sx] * 0x101) ^ (sx * 0x1010100);
-              SUB_MIX_0[x] = (t << 24) | (t >>> 8);
-              SUB_MIX_1[x] = (t << 16) | (t >>> 16);
-              SUB_MIX_2[x] = (t << 8)  | (t >>> 24);
-              SUB_MIX_3[x] = t;
-
-              // Compute inv sub bytes, inv mix columns tables
-              var t = (x8 * 0x1010101) ^ (x4 * 0x10001) ^ (x2 * 0x101) ^ (x * 0x1010100);
-              INV_SUB_MIX_0[sx] = (t << 24) | (t >>> 8);
-              INV_SUB_MIX_1[sx] = (t << 16) | (t >>> 16);
-              INV_SUB_MIX_2[sx] = (t << 8)  | (t >>> 24);
-              INV_SUB_MIX_3[sx] = t;
-
-              // Compute next counter
-              if (!x) {
-                  x = xi = 1;
-              } else {
-                  x = x2 ^ d[d[d[x8 ^ x2]]];
-                  xi ^= d[d[xi]];
-              }
-          }
-      }());
-
-      // Precomputed Rcon lookup
-      var RCON = [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x20, 0x40, 0x80, 0x1b, 0x36];
-
-      /**
-       * AES block cipher algorithm.
-       */
-      var AES = C_algo.AES = BlockCipher.extend({
-          _doReset: function () {
-              // Shortcuts
-              var key = this._key;
-              var keyWords = key.words;
-              var keySize = key.sigBytes / 4;
-
-              // Compute number of rounds
-              var nRounds = this._nRounds = keySize + 6
-
-              // Compute number of key schedule rows
-              var ksRows = (nRounds + 1) * 4;
-
-              // Compute key schedule
-              var keySchedule = this._keySchedule = [];
-              for (var ksRow = 0; ksRow < ksRows; ksRow++) {
-                  if (ksRow < keySize) {
-                      keySchedule[ksRow] = keyWords[ksRow];
-                  } else {
-                      var t = keySchedule[ksRow - 1];
-
-                      if (!(ksRow % keySize)) {
-                          // Rot word
-                          t = (t << 8) | (t >>> 24);
-
-                          // Sub word
-                          t = (SBOX[t >>> 24] << 24) | (SBOX[(t >>> 16) & 0xff] << 16) | (SBOX[(t >>> 8) & 0xff] << 8) | SBOX[t & 0xff];
-
-                          // Mix Rcon
-                          t ^= RCON[(ksRow / keySize) | 0] << 24;
-                      } else if (keySize > 6 && ksRow % keySize == 4) {
-                          // Sub word
-                          t = (SBOX[t >>> 24] << 24) | (SBOX[(t >>> 16) & 0xff] << 16) | (SBOX[(t >>> 8) & 0xff] << 8) | SBOX[t & 0xff];
-                      }
-
-                      keySchedule[ksRow] = keySchedule[ksRow - keySize] ^ t;
-                  }
-              }
-
-              // Compute inv key schedule
-              var invKeySchedule = this._invKeySchedule = [];
-              for (var invKsRow = 0; invKsRow < ksRows; invKsRow++) {
-                  var ksRow = ksRows - invKsRow;
-
-                  if (invKsRow % 4) {
-                      var t = keySchedule[ksRow];
-                  } else {
-                      var t = keySchedule[ksRow - 4];
-                  }
-
-                  if (invKsRow < 4 || ksRow <= 4) {
-                      invKeySchedule[invKsRow] = t;
-                  } else {
-                      invKeySchedule[invKsRow] = INV_SUB_MIX_0[SBOX[t >>> 24]] ^ INV_SUB_MIX_1[SBOX[(t >>> 16) & 0xff]] ^
-                                                 INV_SUB_MIX_2[SBOX[(t >>> 8) & 0xff]] ^ INV_SUB_MIX_3[SBOX[t & 0xff]];
-                  }
-              }
-          },
-
-          encryptBlock: function (M, offset) {
-              this._doCryptBlock(M, offset, this._keySchedule, SUB_MIX_0, SUB_MIX_1, SUB_MIX_2, SUB_MIX_3, SBOX);
-          },
-
-          decryptBlock: function (M, offset) {
-              // Swap 2nd and 4th rows
-              var t = M[offset + 1];
-              M[offset + 1] = M[offset + 3];
-              M[offset + 3] = t;
-
-              this._doCryptBlock(M, offset, this._invKeySchedule, INV_SUB_MIX_0, INV_SUB_MIX_1, INV_SUB_MIX_2, INV_SUB_MIX_3, INV_SBOX);
-
-              // Inv swap 2nd and 4th rows
-              var t = M[offset + 1];
-              M[offset + 1] = M[offset + 3];
-              M[offset + 3] = t;
-          },
-
-          _doCryptBlock: function (M, offset, keySchedule, SUB_MIX_0, SUB_MIX_1, SUB_MIX_2, SUB_MIX_3, SBOX) {
-              // Shortcut
-              var nRounds = this._nRounds;
-
-              // Get input, add round key
-              var s0 = M[offset]     ^ keySchedule[0];
-              var s1 = M[offset + 1] ^ keySchedule[1];
-              var s2 = M[offset + 2] ^ keySchedule[2];
-              var s3 = M[offset + 3] ^ keySchedule[3];
-
-              // Key schedule row counter
-              var ksRow = 4;
-
-              // Rounds
-              for (var round = 1; round < nRounds; round++) {
-                  // Shift rows, sub bytes, mix columns, add round key
-                  var t0 = SUB_MIX_0[s0 >>> 24] ^ SUB_MIX_1[(s1 >>> 16) & 0xff] ^ SUB_MIX_2[(s2 >>> 8) & 0xff] ^ SUB_MIX_3[s3 & 0xff] ^ keySchedule[ksRow++];
-                  var t1 = SUB_MIX_0[s1 >>> 24] ^ SUB_MIX_1[(s2 >>> 16) & 0xff] ^ SUB_MIX_2[(s3 >>> 8) & 0xff] ^ SUB_MIX_3[s0 & 0xff] ^ keySchedule[ksRow++];
-                  var t2 = SUB_MIX_0[s2 >>> 24] ^ SUB_MIX_1[(s3 >>> 16) & 0xff] ^ SUB_MIX_2[(s0 >>> 8) & 0xff] ^ SUB_MIX_3[s1 & 0xff] ^ keySchedule[ksRow++];
-                  var t3 = SUB_MIX_0[s3 >>> 24] ^ SUB_MIX_1[(s0 >>> 16) & 0xff] ^ SUB_MIX_2[(s1 >>> 8) & 0xff] ^ SUB_MIX_3[s2 & 0xff] ^ keySchedule[ksRow++];
-
-                  // Update state
-                  s0 = t0;
-                  s1 = t1;
-                  s2 = t2;
-                  s3 = t3;
-              }
-
-              // Shift rows, sub bytes, add round key
-              var t0 = ((SBOX[s0 >>> 24] << 24) | (SBOX[(s1 >>> 16) & 0xff] << 16) | (SBOX[(s2 >>> 8) & 0xff] << 8) | SBOX[s3 & 0xff]) ^ keySchedule[ksRow++];
-              var t1 = ((SBOX[s1 >>> 24] << 24) | (SBOX[(s2 >>> 16) & 0xff] << 16) | (SBOX[(s3 >>> 8) & 0xff] << 8) | SBOX[s0 & 0xff]) ^ keySchedule[ksRow++];
-              var t2 = ((SBOX[s2 >>> 24] << 24) | (SBOX[(s3 >>> 16) & 0xff] << 16) | (SBOX[(s0 >>> 8) & 0xff] << 8) | SBOX[s1 & 0xff]) ^ keySchedule[ksRow++];
-              var t3 = ((SBOX[s3 >>> 24] << 24) | (SBOX[(s0 >>> 16) & 0xff] << 16) | (SBOX[(s1 >>> 8) & 0xff] << 8) | SBOX[s2 & 0xff]) ^ keySchedule[ksRow++];
-
-              // Set output
-              M[offset]     = t0;
-              M[offset + 1] = t1;
-              M[offset + 2] = t2;
-              M[offset + 3] = t3;
-          },
-
-          keySize: 256/32
-      });
-
-      /**
-       * Shortcut functions to the cipher's object interface.
-       *
-       * @example
-       *
-       *     var ciphertext = CryptoJS.AES.encrypt(message, key, cfg);
-       *     var plaintext  = CryptoJS.AES.decrypt(ciphertext, key, cfg);
-       */
-      C.AES = BlockCipher._createHelper(AES);
-  }());
-
-
-  return CryptoJS.AES;
-
-}));
-
-;(function (root, factory, undef) {
-  if (typeof exports === "object") {
-    // CommonJS
-    module.exports = exports = factory(require("./core"), require("./cipher-core"));
-  }
-  else if (typeof define === "function" && define.amd) {
-    // AMD
-    define(["./core", "./cipher-core"], factory);
-  }
-  else {
-    // Global (browser)
-    factory(root.CryptoJS);
-  }
-}(this, function (CryptoJS) {
-
-  /**
-   * Counter block mode.
-   */
-  CryptoJS.mode.CTR = (function () {
-      var CTR = CryptoJS.lib.BlockCipherMode.extend();
-
-      var Encryptor = CTR.Encryptor = CTR.extend({
-          processBlock: function (words, offset) {
-              // Shortcuts
-              var cipher = this._cipher
-              var blockSize = cipher.blockSize;
-              var iv = this._iv;
-              var counter = this._counter;
-
-              // Generate keystream
-              if (iv) {
-                  counter = this._counter = iv.slice(0);
-
-                  // Remove IV for subsequent blocks
-                  this._iv = undefined;
-              }
-              var keystream = counter.slice(0);
-              cipher.encryptBlock(keystream, 0);
-
-              // Increment counter
-              counter[blockSize - 1] = (counter[blockSize - 1] + 1) | 0
-
-              // Encrypt
-              for (var i = 0; i < blockSize; i++) {
-                  words[offset + i] ^= keystream[i];
-              }
-          }
-      });
-
-      CTR.Decryptor = Encryptor;
-
-      CTR.reinitOK = true;
-
-      return CTR;
-  }());
-
-
-  return CryptoJS.mode.CTR;
-
-}));
-
-;(function (root, factory, undef) {
-  if (typeof define === "function" && define.amd) {
-    // AMD
-    define(["crypto-js/core", "crypto-js/aes", "crypto-js/mode-ctr"], factory);
-  }
-  else {
-    // Global (browser)
-    factory(root.CryptoJS);
-  }
-}(this, function (C) {
-
-  /*
-   * The MIT License (MIT)
-   *
-   * Copyright (c) 2015 artjomb
-   */
-  // put on ext property in CryptoJS
-  var ext;
-  if (!C.hasOwnProperty("ext")) {
-      ext = C.ext = {};
-  } else {
-      ext = C.ext;
-  }
-
-  /**
-   * Shifts the array by n bits to the left. Zero bits are added as the
-   * least significant bits. This operation modifies the current array.
-   *
-   * @param {WordArray} wordArray WordArray to work on
-   * @param {int} n Bits to shift by
-   *
-   * @returns the WordArray that was passed in
-   */
-  ext.bitshift = function(wordArray, n){
-      var carry = 0,
-          words = wordArray.words,
-          wres,
-          skipped = 0,
-          carryMask;
-      if (n > 0) {
-          while(n > 31) {
-              // delete first element:
-              words.splice(0, 1);
-
-              // add `0` word to the back
-              words.push(0);
-
-              n -= 32;
-              skipped++;
-          }
-          if (n == 0) {
-              // 1. nothing to shift if the shift amount is on a word boundary
-              // 2. This has to be done, because the following algorithm computes
-              // wrong values only for n==0
-              return carry;
-          }
-          for(var i = words.length - skipped - 1; i >= 0; i--) {
-              wres = words[i];
-              words[i] <<= n;
-              words[i] |= carry;
-              carry = wres >>> (32 - n);
-          }
-      } else if (n < 0) {
-          while(n < -31) {
-              // insert `0` word to the front:
-              words.splice(0, 0, 0);
-
-              // remove last element:
-              words.length--;
-
-              n += 32;
-              skipped++;
-          }
-          if (n == 0) {
-              // nothing to shift if the shift amount is on a word boundary
-              return carry;
-          }
-          n = -n;
-          carryMask = (1 << n) - 1;
-          for(var i = skipped; i < words.length; i++) {
-              wres = words[i] & carryMask;
-              words[i] >>>= n;
-              words[i] |= carry;
-              carry = wres << (32 - n);
-          }
-      }
-      return carry;
-  };
-
-  /**
-   * Negates all bits in the WordArray. This manipulates the given array.
-   *
-   * @param {WordArray} wordArray WordArray to work on
-   *
-   * @returns the WordArray that was passed in
-   */
-  ext.neg = function(wordArray){
-      var words = wordArray.words;
-      for(var i = 0; i < words.length; i++) {
-          words[i] = ~words[i];
-      }
-      return wordArray;
-  };
-
-  /**
-   * Applies XOR on both given word arrays and returns a third resulting
-   * WordArray. The initial word arrays must have the same length
-   * (significant bytes).
-   *
-   * @param {WordArray} wordArray1 WordArray
-   * @param {WordArray} wordArray2 WordArray
-   *
-   * @returns first passed WordArray (modified)
-   */
-  ext.xor = function(wordArray1, wordArray2){
-      for(var i = 0; i < wordArray1.words.length; i++) {
-          wordArray1.words[i] ^= wordArray2.words[i];
-      }
-      return wordArray1;
-  };
-
-  /**
-   * Logical AND between the two passed arrays. Both arrays must have the
-   * same length.
-   *
-   * @param {WordArray} arr1 Array 1
-   * @param {WordArray} arr2 Array 2
-   *
-   * @returns new WordArray
-   */
-  ext.bitand = function(arr1, arr2){
-      var newArr = arr1.clone(),
-          tw = newArr.words,
-          ow = arr2.words;
-      for(var i = 0; i < tw.length; i++) {
-          tw[i] &= ow[i];
-      }
-      return newArr;
-  };
-
-
-  /*
-   * The MIT License (MIT)
-   *
-   * Copyright (c) 2015 artjomb
-   */
-  // put on ext property in CryptoJS
-  var ext;
-  if (!C.hasOwnProperty("ext")) {
-      ext = C.ext = {};
-  } else {
-      ext = C.ext;
-  }
-
-  // Shortcuts
-  var Base = C.lib.Base;
-  var WordArray = C.lib.WordArray;
-
-  // Constants
-  ext.const_Zero = new WordArray.init([0x00000000, 0x00000000, 0x00000000, 0x00000000]);
-  ext.const_One = new WordArray.init([0x00000000, 0x00000000, 0x00000000, 0x00000001]);
-  ext.const_Rb = new WordArray.init([0x00000000, 0x00000000, 0x00000000, 0x00000087]); // 00..0010000111
-  ext.const_Rb_Shifted = new WordArray.init([0x80000000, 0x00000000, 0x00000000, 0x00000043]); // 100..001000011
-  ext.const_nonMSB = new WordArray.init([0xFFFFFFFF, 0xFFFFFFFF, 0x7FFFFFFF, 0x7FFFFFFF]); // 1^64 || 0^1 || 1^31 || 0^1 || 1^31
-
-  /**
-   * Looks into the object to see if it is a WordArray.
-   *
-   * @param obj Some object
-   *
-   * @returns {boolean}
-
-   */
-  ext.isWordArray = function(obj) {
-      return obj && typeof obj.clamp === "function" && typeof obj.concat === "function" && typeof obj.words === "array";
-  }
-
-  /**
-   * This padding is a 1 bit followed by as many 0 bits as needed to fill
-   * up the block. This implementation doesn't work on bits directly,
-   * but on bytes. Therefore the granularity is much bigger.
-   */
-  C.pad.OneZeroPadding = {
-      pad: function (data, blocksize) {
-          // Shortcut
-          var blockSizeBytes = blocksize * 4;
-
-          // Count padding bytes
-          var nPaddingBytes = blockSizeBytes - data.sigBytes % blockSizeBytes;
-
-          // Create padding
-          var paddingWords = [];
-          for (var i = 0; i < nPaddingBytes; i += 4) {
-              var paddingWord = 0x00000000;
-              if (i === 0) {
-                  paddingWord = 0x80000000;
-              }
-              paddingWords.push(paddingWord);
-          }
-          var padding = new WordArray.init(paddingWords, nPaddingBytes);
-
-          // Add padding
-          data.concat(padding);
-      },
-      unpad: function () {
-          // TODO: implement
-      }
-  };
-
-  /**
-   * No padding is applied. This is necessary for streaming cipher modes
-   * like CTR.
-   */
-  C.pad.NoPadding = {
-      pad: function () {},
-      unpad: function () {}
-  };
-
-  /**
-   * Returns the n leftmost bytes of the WordArray.
-   *
-   * @param {WordArray} wordArray WordArray to work on
-   * @param {int} n Bytes to retrieve
-   *
-   * @returns new WordArray
-   */
-  ext.leftmostBytes = function(wordArray, n){
-      var lmArray = wordArray.clone();
-      lmArray.sigBytes = n;
-      lmArray.clamp();
-      return lmArray;
-  };
-
-  /**
-   * Returns the n rightmost bytes of the WordArray.
-   *
-   * @param {WordArray} wordArray WordArray to work on
-   * @param {int} n Bytes to retrieve (must be positive)
-   *
-   * @returns new WordArray
-   */
-  ext.rightmostBytes = function(wordArray, n){
-      wordArray.clamp();
-      var wordSize = 32;
-      var rmArray = wordArray.clone();
-      var bitsToShift = (rmArray.sigBytes - n) * 8;
-      if (bitsToShift >= wordSize) {
-          var popCount = Math.floor(bitsToShift/wordSize);
-          bitsToShift -= popCount * wordSize;
-          rmArray.words.splice(0, popCount);
-          rmArray.sigBytes -= popCount * wordSize / 8;
-      }
-      if (bitsToShift > 0) {
-          ext.bitshift(rmArray, bitsToShift);
-          rmArray.sigBytes -= bitsToShift / 8;
-      }
-      return rmArray;
-  };
-
-  /**
-   * Returns the n rightmost words of the WordArray. It assumes
-   * that the current WordArray has at least n words.
-   *
-   * @param {WordArray} wordArray WordArray to work on
-   * @param {int} n Words to retrieve (must be positive)
-   *
-   * @returns popped words as new WordArray
-   */
-  ext.popWords = function(wordArray, n){
-      var left = wordArray.words.splice(0, n);
-      wordArray.sigBytes -= n * 4;
-      return new WordArray.init(left);
-  };
-
-  /**
-   * Shifts the array to the left and returns the shifted dropped elements
-   * as WordArray. The initial WordArray must contain at least n bytes and
-   * they have to be significant.
-   *
-   * @param {WordArray} wordArray WordArray to work on (is modified)
-   * @param {int} n Bytes to shift (must be positive, default 16)
-   *
-   * @returns new WordArray
-   */
-  ext.shiftBytes = function(wordArray, n){
-      n = n || 16;
-      var r = n % 4;
-      n -= r;
-
-      var shiftedArray = new WordArray.init();
-      for(var i = 0; i < n; i += 4) {
-          shiftedArray.words.push(wordArray.words.shift());
-          wordArray.sigBytes -= 4;
-          shiftedArray.sigBytes += 4;
-      }
-      if (r > 0) {
-          shiftedArray.words.push(wordArray.words[0]);
-          shiftedArray.sigBytes += r;
-
-          ext.bitshift(wordArray, r * 8);
-          wordArray.sigBytes -= r;
-      }
-      return shiftedArray;
-  };
-
-  /**
-   * XORs arr2 to the end of arr1 array. This doesn't modify the current
-   * array aside from clamping.
-   *
-   * @param {WordArray} arr1 Bigger array
-   * @param {WordArray} arr2 Smaller array to be XORed to the end
-   *
-   * @returns new WordArray
-   */
-  ext.xorendBytes = function(arr1, arr2){
-      // TODO: more efficient
-      return ext.leftmostBytes(arr1, arr1.sigBytes-arr2.sigBytes)
-              .concat(ext.xor(ext.rightmostBytes(arr1, arr2.sigBytes), arr2));
-  };
-
-  /**
-   * Doubling operation on a 128-bit value. This operation modifies the
-   * passed array.
-   *
-   * @param {WordArray} wordArray WordArray to work on
-   *
-   * @returns passed WordArray
-   */
-  ext.dbl = function(wordArray){
-      var carry = ext.msb(wordArray);
-      ext.bitshift(wordArray, 1);
-      ext.xor(wordArray, carry === 1 ? ext.const_Rb : ext.const_Zero);
-      return wordArray;
-  };
-
-  /**
-   * Inverse operation on a 128-bit value. This operation modifies the
-   * passed array.
-   *
-   * @param {WordArray} wordArray WordArray to work on
-   *
-   * @returns passed WordArray
-   */
-  ext.inv = function(wordArray){
-      var carry = wordArray.words[4] & 1;
-      ext.bitshift(wordArray, -1);
-      ext.xor(wordArray, carry === 1 ? ext.const_Rb_Shifted : ext.const_Zero);
-      return wordArray;
-  };
-
-  /**
-   * Check whether the word arrays are equal.
-   *
-   * @param {WordArray} arr1 Array 1
-   * @param {WordArray} arr2 Array 2
-   *
-   * @returns boolean
-   */
-  ext.equals = function(arr1, arr2){
-      if (!arr2 || !arr2.words || arr1.sigBytes !== arr2.sigBytes) {
-          return false;
-      }
-      arr1.clamp();
-      arr2.clamp();
-      var equal = 0;
-      for(var i = 0; i < arr1.words.length; i++) {
-          equal |= arr1.words[i] ^ arr2.words[i];
-      }
-      return equal === 0;
-  };
-
-  /**
-   * Retrieves the most significant bit of the WordArray as an Integer.
-   *
-   * @param {WordArray} arr
-   *
-   * @returns Integer
-   */
-  ext.msb = function(arr) {
-      return arr.words[0] >>> 31;
-  }
-
-
-  /*
-   * The MIT License (MIT)
-   *
-   * Copyright (c) 2015 artjomb
-   */
-  // Shortcuts
-  var Base = C.lib.Base;
-  var WordArray = C.lib.WordArray;
-  var AES = C.algo.AES;
-  var ext = C.ext;
-  var OneZeroPadding = C.pad.OneZeroPadding;
-
-
-  var CMAC = C.algo.CMAC = Base.extend({
-      /**
-       * Initializes a newly created CMAC
-       *
-       * @param {WordArray} key The secret key
-       *
-       * @example
-       *
-       *     var cmacer = CryptoJS.algo.CMAC.create(key);
-       */
-      init: function(key){
-          // generate sub keys...
-          this._aes = AES.createEncryptor(key, { iv: new WordArray.init(), padding: C.pad.NoPadding });
-
-          // Step 1
-          var L = this._aes.finalize(ext.const_Zero);
-
-          // Step 2
-          var K1 = L.clone();
-          ext.dbl(K1);
-
-          // Step 3
-          if (!this._isTwo) {
-              var K2 = K1.clone();
-              ext.dbl(K2);
-          } else {
-              var K2 = L.clone();
-              ext.inv(K2);
-          }
-
-          this._K1 = K1;
-          this._K2 = K2;
-
-          this._const_Bsize = 16;
-
-          this.reset();
-      },
-
-      reset: function () {
-          this._x = ext.const_Zero.clone();
-          this._counter = 0;
-          this._buffer = new WordArray.init();
-      },
-
-      update: function (messageUpdate) {
-          if (!messageUpdate) {
-              return this;
-          }
-
-          // Shortcuts
-          var buffer = this._buffer;
-          var bsize = this._const_Bsize;
-
-          if (typeof messageUpdate === "string") {
-              messageUpdate = C.enc.Utf8.parse(messageUpdate);
-          }
-
-          buffer.concat(messageUpdate);
-
-          while(buffer.sigBytes > bsize){
-              var M_i = ext.shiftBytes(buffer, bsize);
-              ext.xor(this._x, M_i);
-              this._x.clamp();
-              this._aes.reset();
-              this._x = this._aes.finalize(this._x);
-              this._counter++;
-          }
-
-          // Chainable
-          return this;
-      },
-
-      finalize: function (messageUpdate) {
-          this.update(messageUpdate);
-
-          // Shortcuts
-          var buffer = this._buffer;
-          var bsize = this._const_Bsize;
-
-          var M_last = buffer.clone();
-          if (buffer.sigBytes === bsize) {
-              ext.xor(M_last, this._K1);
-          } else {
-              OneZeroPadding.pad(M_last, bsize/4);
-              ext.xor(M_last, this._K2);
-          }
-
-          ext.xor(M_last, this._x);
-
-          this.reset(); // Can be used immediately afterwards
-
-          this._aes.reset();
-          return this._aes.finalize(M_last);
-      },
-
-      _isTwo: false
-  });
-
-  /**
-   * Directly invokes the CMAC and returns the calculated MAC.
-   *
-   * @param {WordArray} key The key to be used for CMAC
-   * @param {WordArray|string} message The data to be MAC'ed (either WordArray or UTF-8 encoded string)
-   *
-   * @returns {WordArray} MAC
-   */
-  C.CMAC = function(key, message){
-      return CMAC.create(key).finalize(message);
-  };
-
-  C.algo.OMAC1 = CMAC;
-  C.algo.OMAC2 = CMAC.extend({
-      _isTwo: true
-  });
-
-
-  /*
-   * The MIT License (MIT)
-   *
-   * Copyright (c) 2015 artjomb
-   */
-  // Shortcuts
-  var Base = C.lib.Base;
-  var WordArray = C.lib.WordArray;
-  var AES = C.algo.AES;
-  var ext = C.ext;
-  var OneZeroPadding = C.pad.OneZeroPadding;
-  var CMAC = C.algo.CMAC;
-
-  /**
-   * updateAAD must be used before update, because the additional data is
-   * expected to be authenticated before the plaintext stream starts.
-   */
-  var S2V = C.algo.S2V = Base.extend({
-      init: function(key){
-          this._blockSize = 16;
-          this._cmacAD = CMAC.create(key);
-          this._cmacPT = CMAC.create(key);
-          this.reset();
-      },
-      reset: function(){
-          this._buffer = new WordArray.init();
-          this._cmacAD.reset();
-          this._cmacPT.reset();
-          this._d = this._cmacAD.finalize(ext.const_Zero);
-          this._empty = true;
-          this._ptStarted = false;
-      },
-      updateAAD: function(msgUpdate){
-          if (this._ptStarted) {
-              // It's not possible to authenticate any more additional data when the plaintext stream starts
-              return this;
-          }
-
-          if (!msgUpdate) {
-              return this;
-          }
-
-          if (typeof msgUpdate === "string") {
-              msgUpdate = C.enc.Utf8.parse(msgUpdate);
-          }
-
-          this._d = ext.xor(ext.dbl(this._d), this._cmacAD.finalize(msgUpdate));
-          this._empty = false;
-
-          // Chainable
-          return this;
-      },
-      update: function(msgUpdate){
-          if (!msgUpdate) {
-              return this;
-          }
-
-          this._ptStarted = true;
-          var buffer = this._buffer;
-          var bsize = this._blockSize;
-          var wsize = bsize / 4;
-          var cmac = this._cmacPT;
-          if (typeof msgUpdate === "string") {
-              msgUpdate = C.enc.Utf8.parse(msgUpdate);
-          }
-
-          buffer.concat(msgUpdate);
-
-          while(buffer.sigBytes >= 2 * bsize){
-              this._empty = false;
-              var s_i = ext.popWords(buffer, wsize);
-              cmac.update(s_i);
-          }
-
-          // Chainable
-          return this;
-      },
-      finalize: function(msgUpdate){
-          this.update(msgUpdate);
-
-          var bsize = this._blockSize;
-          var s_n = this._buffer;
-
-          if (this._empty && s_n.sigBytes === 0) {
-              return this._cmacAD.finalize(ext.const_One);
-          }
-
-          var t;
-          if (s_n.sigBytes >= bsize) {
-              t = ext.xorendBytes(s_n, this._d);
-          } else {
-              OneZeroPadding.pad(s_n, bsize);
-              t = ext.xor(ext.dbl(this._d), s_n);
-          }
-
-          return this._cmacPT.finalize(t);
-      }
-  });
-
-  var SIV = C.SIV = Base.extend({
-      init: function(key){
-          var len = key.sigBytes / 2;
-          this._s2vKey = ext.shiftBytes(key, len);
-          this._ctrKey = key;
-      },
-      encrypt: function(adArray, plaintext){
-          if (!plaintext && adArray) {
-              plaintext = adArray;
-              adArray = [];
-          }
-
-          var s2v = S2V.create(this._s2vKey);
-          Array.prototype.forEach.call(adArray, function(ad){
-              s2v.updateAAD(ad);
-          });
-          var tag = s2v.finalize(plaintext);
-          var filteredTag = ext.bitand(tag, ext.const_nonMSB);
-
-          var ciphertext = C.AES.encrypt(plaintext, this._ctrKey, {
-              iv: filteredTag,
-              mode: C.mode.CTR,
-              padding: C.pad.NoPadding
-          });
-
-          return tag.concat(ciphertext.ciphertext);
-      },
-      decrypt: function(adArray, ciphertext){
-          if (!ciphertext && adArray) {
-              ciphertext = adArray;
-              adArray = [];
-          }
-
-          var tag = ext.shiftBytes(ciphertext, 16);
-          var filteredTag = ext.bitand(tag, ext.const_nonMSB);
-
-          var plaintext = C.AES.decrypt({ciphertext:ciphertext}, this._ctrKey, {
-              iv: filteredTag,
-              mode: C.mode.CTR,
-              padding: C.pad.NoPadding
-          });
-
-          var s2v = S2V.create(this._s2vKey);
-          Array.prototype.forEach.call(adArray, function(ad){
-              s2v.updateAAD(ad);
-          });
-          var recoveredTag = s2v.finalize(plaintext);
-
-          if (ext.equals(tag, recoveredTag)) {
-              return plaintext;
-          } else {
-              return false;
-          }
-      }
-  });
-
-
-}));
-
+// Outside the browser (Node.js), load the library through its CommonJS entry
+// and write the results to stdout
+if (typeof document === "undefined") {
+    var CryptoJS = require("./lib");
+    var document = { write: function (s) { process.stdout.write(s.replace(/<\/?pre>/g, "")); } };
+}
 
 function log(msg) {
   document.write((msg || '') + '\n');
@@ -2632,7 +52,7 @@ assert(s2v.finalize().toString(), "85632d07c6e8f37f950acd320a2ecc93", "s2v final
 
 var siv = CryptoJS.SIV.create(keyBytes1.clone().concat(keyBytes2));
 var ct = siv.encrypt([ adBytes ], ptBytes);
-assert(ct.toString(), "85632d07c6e8f37f950acd320a2ecc9340c02b9690c4dc04daef7f6afe5c", "ciphertext final");
+assert(ct.tag.toString() + ct.ciphertext.toString(), "85632d07c6e8f37f950acd320a2ecc9340c02b9690c4dc04daef7f6afe5c", "ciphertext final");
 
 var recoveredPT = siv.decrypt([ adBytes ], ct);
 assert(recoveredPT.toString(), plaintext, "recovered plaintext");
@@ -2671,7 +91,950 @@ log();
 
 var siv = CryptoJS.SIV.create(keyBytes);
 var ct = siv.encrypt([ adBytes1, adBytes2, nonceBytes ], ptBytes);
-assert(ct.toString(), "7bdb6e3b432667eb06f4d14bff2fbd0fcb900f2fddbe404326601965c889bf17dba77ceb094fa663b7a3f748ba8af829ea64ad544a272e9c485b62a3fd5c0d", "ciphertext final");
+assert(ct.tag.toString() + ct.ciphertext.toString(), "7bdb6e3b432667eb06f4d14bff2fbd0fcb900f2fddbe404326601965c889bf17dba77ceb094fa663b7a3f748ba8af829ea64ad544a272e9c485b62a3fd5c0d", "ciphertext final");
+
+
+// AES-GCM Examples (test cases from the GCM specification)
+log("\nAES-GCM Example");
+var gcmKey = CryptoJS.enc.Hex.parse("00000000000000000000000000000000");
+var gcmIv = CryptoJS.enc.Hex.parse("000000000000000000000000");
+var gcmPt = CryptoJS.enc.Hex.parse("00000000000000000000000000000000");
+var gcmCfg = { iv: gcmIv, mode: CryptoJS.mode.GCM, padding: CryptoJS.pad.NoPadding };
+
+var ct = CryptoJS.AES.encrypt(gcmPt, gcmKey, gcmCfg);
+assert(ct.ciphertext.toString(), "0388dace60b6a392f328c2b971b2fe78ab6e47d42cec13bdf53a67b21257bddf", "ciphertext and tag, test case 2");
+
+var gcmKey = CryptoJS.enc.Hex.parse("feffe9928665731c6d6a8f9467308308");
+var gcmPt = CryptoJS.enc.Hex.parse("d9313225f88406e5a55909c5aff5269a86a7a9531534f7da2e4c303d8a318a721c3c0c95956809532fcf0e2449a6b525b16aedf5aa0de657ba637b39");
+var gcmAad = CryptoJS.enc.Hex.parse("feedfacedeadbeeffeedfacedeadbeefabaddad2");
+var gcmCfg = { iv: CryptoJS.enc.Hex.parse("cafebabefacedbaddecaf888"), mode: CryptoJS.mode.GCM, padding: CryptoJS.pad.NoPadding, aad: gcmAad };
+
+var ct = CryptoJS.AES.encrypt(gcmPt, gcmKey, gcmCfg);
+assert(ct.ciphertext.toString(), "42831ec2217774244b7221b784d0d49ce3aa212f2c02a4e035c17e2329aca12e21d514b25466931c7d8f6a5aac84aa051ba30b396a0aac973d58e0915bc94fbc3221a5db94fae95ae7121a47", "ciphertext and tag, test case 4");
+
+var recoveredPT = CryptoJS.AES.decrypt(ct, gcmKey, gcmCfg);
+assert(recoveredPT.toString(), gcmPt.toString(), "recovered plaintext");
+
+var tamperedCt = ct.ciphertext.clone();
+tamperedCt.words[0] ^= 1;
+assert(CryptoJS.AES.decrypt({ ciphertext: tamperedCt }, gcmKey, gcmCfg), false, "tampered ciphertext");
+
+gcmCfg.tagLength = 96;
+var ct = CryptoJS.AES.encrypt(gcmPt, gcmKey, gcmCfg);
+assert(ct.ciphertext.toString().slice(-24), "5bc94fbc3221a5db94fae95a", "truncated tag");
+
+var recoveredPT = CryptoJS.AES.decrypt(ct, gcmKey, gcmCfg);
+assert(recoveredPT.toString(), gcmPt.toString(), "recovered plaintext with truncated tag");
+
+gcmCfg.tagLength = 128;
+gcmCfg.iv = CryptoJS.enc.Hex.parse("cafebabefacedbad");
+var ct = CryptoJS.AES.encrypt(gcmPt, gcmKey, gcmCfg);
+assert(ct.ciphertext.toString(), "61353b4c2806934a777ff51fa22a4755699b2a714fcdc6f83766e5f97b6c742373806900e49f24b22b097544d4896b424989b5e1ebac0f07c23f45983612d2e79e3b0785561be14aaca2fccb", "ciphertext and tag, 64-bit IV");
+
+gcmCfg.iv = CryptoJS.enc.Hex.parse("9313225df88406e555909c5aff5269aa6a7a9538534f7da1e4c303d2a318a728c3c0c95156809539fcf0e2429a6b525416aedbf5a0de6a57a637b39b");
+var ct = CryptoJS.AES.encrypt(gcmPt, gcmKey, gcmCfg);
+assert(ct.ciphertext.toString(), "8ce24998625615b603a033aca13fb894be9112a5c3a211a8ba262a3cca7e2ca701e4a9a4fba43c90ccdcb281d48c7c6fd62875d2aca417034c34aee5619cc5aefffe0bfa462af43c1699d050", "ciphertext and tag, 480-bit IV");
+
+var decryptor = CryptoJS.algo.AES.createDecryptor(gcmKey, gcmCfg);
+var recoveredPT = decryptor.process(ct.ciphertext.clone());
+recoveredPT.concat(decryptor.finalize());
+assert(recoveredPT.toString(), gcmPt.toString(), "recovered plaintext, incremental");
+
+
+// AES-EAX Examples (test vectors from the EAX paper)
+log("\nAES-EAX Example");
+var eax = CryptoJS.EAX.create(CryptoJS.enc.Hex.parse("233952dee4d5ed5f9b9c6d6ff80ff478"));
+var ct = eax.encrypt(CryptoJS.enc.Hex.parse("62ec67f9c3a4a407fcb2a8c49031a8b3"), [ CryptoJS.enc.Hex.parse("6bfb914fd07eae6b") ], CryptoJS.lib.WordArray.create());
+assert(ct.toString(), "e037830e8389f27b025a2d6527e79d01", "empty message");
+assert(eax.encrypt(CryptoJS.enc.Hex.parse("62ec67f9c3a4a407fcb2a8c49031a8b3"), [ CryptoJS.enc.Hex.parse("6bfb914fd07eae6b") ], "").toString(), "e037830e8389f27b025a2d6527e79d01", "empty string message");
+
+var eax = CryptoJS.EAX.create(CryptoJS.enc.Hex.parse("01f74ad64077f2e704c0f60ada3dd523"));
+var eaxNonce = CryptoJS.enc.Hex.parse("70c3db4f0d26368400a10ed05d2bff5e");
+var eaxHeader = CryptoJS.enc.Hex.parse("234a3463c1264ac6");
+var ct = eax.encrypt(eaxNonce, [ eaxHeader ], CryptoJS.enc.Hex.parse("1a47cb4933"));
+assert(ct.toString(), "d851d5bae03a59f238a23e39199dc9266626c40f80", "ciphertext and tag");
+
+var recoveredPT = eax.decrypt(eaxNonce, [ eaxHeader ], ct);
+assert(recoveredPT.toString(), "1a47cb4933", "recovered plaintext");
+
+assert(eax.decrypt(eaxNonce, [ CryptoJS.enc.Hex.parse("234a3463c1264ac7") ], ct), false, "wrong header");
+assert(CryptoJS.EAX.create(CryptoJS.enc.Hex.parse("01f74ad64077f2e704c0f60ada3dd523").toUint8Array()).encrypt(eaxNonce.toUint8Array(), [ eaxHeader.toUint8Array() ], CryptoJS.enc.Hex.parse("1a47cb4933").toUint8Array()).toString(), ct.toString(), "Uint8Array key, nonce, header and plaintext");
+
+var eax = CryptoJS.EAX.create(CryptoJS.enc.Hex.parse("01f74ad64077f2e704c0f60ada3dd523"), { tagLength: 8 });
+var ct = eax.encrypt(eaxNonce, [ eaxHeader ], CryptoJS.enc.Hex.parse("1a47cb4933"));
+assert(ct.toString(), "d851d5bae03a59f238a23e3919", "truncated tag");
+
+var recoveredPT = eax.decrypt(eaxNonce, [ eaxHeader ], ct);
+assert(recoveredPT.toString(), "1a47cb4933", "recovered plaintext with truncated tag");
+
+// The nonce tag of this nonce ends in ffffffff, so the counter carries out of the last word (expected value from PyCryptodome)
+var eax = CryptoJS.EAX.create(CryptoJS.enc.Hex.parse("01f74ad64077f2e704c0f60ada3dd523"));
+var eaxCarryNonce = CryptoJS.enc.Hex.parse("c6718201b62362dfb1ccaf43d43a8524");
+var eaxCarryPt = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f");
+var ct = eax.encrypt(eaxCarryNonce, [ eaxHeader ], eaxCarryPt);
+assert(ct.toString(), "bb34ed2903b921866559573f91e7a1b7319fb69bb3f6120d40e67d6da531aae52947b59a8b0d981d8bce0000e5f08af688c7978cc34101eb1b3a89efff9f29b1", "counter carry");
+assert(eax.decrypt(eaxCarryNonce, [ eaxHeader ], ct).toString(), eaxCarryPt.toString(), "recovered plaintext with counter carry");
+
+
+// AES-CCM Examples (NIST SP 800-38C and RFC 3610 packet vector #1)
+log("\nAES-CCM Example");
+var ccmKey = CryptoJS.enc.Hex.parse("404142434445464748494a4b4c4d4e4f");
+var ccm = CryptoJS.CCM.create(ccmKey, { tagLength: 4 });
+var ct = ccm.encrypt(CryptoJS.enc.Hex.parse("10111213141516"), [ CryptoJS.enc.Hex.parse("0001020304050607") ], CryptoJS.enc.Hex.parse("20212223"));
+assert(ct.toString(), "7162015b4dac255d", "ciphertext and tag, 4 byte tag");
+
+var ccm = CryptoJS.CCM.create(ccmKey, { tagLength: 6 });
+var ccmNonce = CryptoJS.enc.Hex.parse("1011121314151617");
+var ccmAd = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f");
+var ct = ccm.encrypt(ccmNonce, [ ccmAd ], CryptoJS.enc.Hex.parse("202122232425262728292a2b2c2d2e2f"));
+assert(ct.toString(), "d2a1f0e051ea5f62081a7792073d593d1fc64fbfaccd", "ciphertext and tag, 6 byte tag");
+
+var recoveredPT = ccm.decrypt(ccmNonce, [ ccmAd ], ct);
+assert(recoveredPT.toString(), "202122232425262728292a2b2c2d2e2f", "recovered plaintext");
+
+assert(ccm.decrypt(ccmNonce, [], ct), false, "missing additional data");
+
+var ccmBytes = CryptoJS.CCM.create(ccmKey.toUint8Array(), { tagLength: 6 });
+assert(ccmBytes.encrypt(ccmNonce.toUint8Array(), [ ccmAd.toUint8Array() ], CryptoJS.enc.Hex.parse("202122232425262728292a2b2c2d2e2f").toUint8Array()).toString(), ct.toString(), "Uint8Array key, nonce, additional data and plaintext");
+assert(ccmBytes.decrypt(ccmNonce.toUint8Array(), [ ccmAd ], ct.toUint8Array()).toString(), "202122232425262728292a2b2c2d2e2f", "recovered plaintext with Uint8Array nonce");
+
+// Empty messages (expected values from PyCryptodome)
+var ct = ccm.encrypt(ccmNonce, [ ccmAd ], "");
+assert(ct.toString(), "da138b1acc54", "empty message with additional data");
+assert(ccm.decrypt(ccmNonce, [ ccmAd ], ct).sigBytes, 0, "recovered empty message");
+assert(ccm.encrypt(ccmNonce, "").toString(), "e5f36b1ac838", "empty message without additional data");
+
+var ccm = CryptoJS.CCM.create(CryptoJS.enc.Hex.parse("c0c1c2c3c4c5c6c7c8c9cacbcccdcecf"), { tagLength: 8 });
+var ct = ccm.encrypt(CryptoJS.enc.Hex.parse("00000003020100a0a1a2a3a4a5"), [ CryptoJS.enc.Hex.parse("0001020304050607") ], CryptoJS.enc.Hex.parse("08090a0b0c0d0e0f101112131415161718191a1b1c1d1e"));
+assert(ct.toString(), "588c979a61c663d2f066d0c2c0f989806d5f6b61dac38417e8d12cfdf926e0", "ciphertext and tag, RFC 3610");
+
+try {
+    ccm.encrypt(CryptoJS.enc.Hex.parse("000102030405"), CryptoJS.enc.Hex.parse("00"));
+    assert(false, true, "short nonce rejected");
+} catch (e) {
+    assert(e.message, "CCM nonce must be 7 to 13 bytes long, got 6", "short nonce rejected");
+}
+
+try {
+    CryptoJS.CCM.create(ccmKey, { tagLength: 5 });
+    assert(false, true, "odd tag length rejected");
+} catch (e) {
+    assert(e.message, "CCM tag length must be 4, 6, 8, 10, 12, 14 or 16 bytes, got 5", "odd tag length rejected");
+}
+
+
+// AES-GCM-SIV Examples (RFC 8452 appendix C)
+log("\nAES-GCM-SIV Example");
+var gcmsivNonce = CryptoJS.enc.Hex.parse("030000000000000000000000");
+var gcmsiv = CryptoJS.GCMSIV.create(CryptoJS.enc.Hex.parse("01000000000000000000000000000000"));
+var ct = gcmsiv.encrypt([ gcmsivNonce ], CryptoJS.lib.WordArray.create());
+assert(ct.toString(), "dc20e2d83f25705bb49e439eca56de25", "empty plaintext");
+
+var ct = gcmsiv.encrypt([ gcmsivNonce ], CryptoJS.enc.Hex.parse("010000000000000000000000"));
+assert(ct.toString(), "7323ea61d05932260047d942a4978db357391a0bc4fdec8b0d106639", "12 byte plaintext");
+
+var ct = gcmsiv.encrypt([ gcmsivNonce ], CryptoJS.enc.Hex.parse("0100000000000000000000000000000002000000000000000000000000000000"));
+assert(ct.toString(), "84e07e62ba83a6585417245d7ec413a9fe427d6315c09b57ce45f2e3936a94451a8e45dcd4578c667cd86847bf6155ff", "32 byte plaintext");
+
+var gcmsivAd = CryptoJS.enc.Hex.parse("01");
+var ct = gcmsiv.encrypt([ gcmsivAd, gcmsivNonce ], CryptoJS.enc.Hex.parse("0200000000000000"));
+assert(ct.toString(), "1e6daba35669f4273b0a1a2560969cdf790d99759abd1508", "with additional data");
+
+var recoveredPT = gcmsiv.decrypt([ gcmsivAd, gcmsivNonce ], ct);
+assert(recoveredPT.toString(), "0200000000000000", "recovered plaintext");
+
+assert(gcmsiv.decrypt([ gcmsivNonce ], ct), false, "missing additional data");
+
+var gcmsivUnclamped = gcmsiv.encrypt([ CryptoJS.lib.WordArray.create([0x01ffffff], 1), gcmsivNonce ], CryptoJS.lib.WordArray.create([0x02000000, 0x00000000, 0xffffffff], 8));
+assert(gcmsivUnclamped.toString(), ct.toString(), "bytes beyond sigBytes are ignored");
+assert(gcmsiv.encrypt([ new Uint8Array([1]), gcmsivNonce.toUint8Array() ], new Uint8Array([2, 0, 0, 0, 0, 0, 0, 0])).toString(), ct.toString(), "Uint8Array inputs");
+
+var gcmsiv = CryptoJS.GCMSIV.create(CryptoJS.enc.Hex.parse("0100000000000000000000000000000000000000000000000000000000000000"));
+var ct = gcmsiv.encrypt([ gcmsivNonce ], CryptoJS.enc.Hex.parse("0100000000000000"));
+assert(ct.toString(), "c2ef328e5c71c83b843122130f7364b761e0b97427e3df28", "256-bit key");
+
+var recoveredPT = gcmsiv.decrypt([ gcmsivNonce ], ct);
+assert(recoveredPT.toString(), "0100000000000000", "recovered plaintext, 256-bit key");
+
+
+// AES-OCB3 Examples (RFC 7253 appendix A)
+log("\nAES-OCB3 Example");
+var ocbKey = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f");
+var ocb = CryptoJS.OCB.create(ocbKey);
+var ct = ocb.encrypt(CryptoJS.enc.Hex.parse("bbaa99887766554433221100"), [], CryptoJS.lib.WordArray.create());
+assert(ct.toString(), "785407bfffc8ad9edcc5520ac9111ee6", "empty message");
+assert(ocb.encrypt(CryptoJS.enc.Hex.parse("bbaa99887766554433221100"), "").toString(), "785407bfffc8ad9edcc5520ac9111ee6", "empty string message");
+
+var ct = ocb.encrypt(CryptoJS.enc.Hex.parse("bbaa99887766554433221102"), [ CryptoJS.enc.Hex.parse("0001020304050607") ], "");
+assert(ct.toString(), "81017f8203f081277152fade694a0a00", "empty message with additional data");
+assert(ocb.decrypt(CryptoJS.enc.Hex.parse("bbaa99887766554433221102"), [ CryptoJS.enc.Hex.parse("0001020304050607") ], ct).sigBytes, 0, "recovered empty message");
+
+var ocbNonce = CryptoJS.enc.Hex.parse("bbaa99887766554433221101");
+var ocbAd = CryptoJS.enc.Hex.parse("0001020304050607");
+var ct = ocb.encrypt(ocbNonce, [ ocbAd ], CryptoJS.enc.Hex.parse("0001020304050607"));
+assert(ct.toString(), "6820b3657b6f615a5725bda0d3b4eb3a257c9af1f8f03009", "partial block");
+
+var recoveredPT = ocb.decrypt(ocbNonce, [ ocbAd ], ct);
+assert(recoveredPT.toString(), "0001020304050607", "recovered plaintext");
+
+assert(ocb.decrypt(ocbNonce, [], ct), false, "missing additional data");
+
+var ocbData = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f1011121314151617");
+var ct = ocb.encrypt(CryptoJS.enc.Hex.parse("bbaa99887766554433221107"), [ ocbData ], ocbData);
+assert(ct.toString(), "1ca2207308c87c010756104d8840ce1952f09673a448a122c92c62241051f57356d7f3c90bb0e07f", "full and partial block");
+
+var encryptor = ocb.createEncryptor(CryptoJS.enc.Hex.parse("bbaa99887766554433221107"), [ ocbData ]);
+var streamedCt = encryptor.update(CryptoJS.enc.Hex.parse("00010203040506")).concat(encryptor.update(CryptoJS.enc.Hex.parse("0708090a0b0c0d0e0f101112"))).concat(encryptor.finalize(CryptoJS.enc.Hex.parse("1314151617")));
+assert(streamedCt.toString(), ct.toString(), "streaming encryption");
+
+var decryptor = ocb.createDecryptor(CryptoJS.enc.Hex.parse("bbaa99887766554433221107"), [ ocbData ]);
+var streamedPt = decryptor.update(CryptoJS.enc.Hex.parse(ct.toString().slice(0, 40))).concat(decryptor.finalize(CryptoJS.enc.Hex.parse(ct.toString().slice(40))));
+assert(streamedPt.toString(), ocbData.toString(), "streaming decryption");
+
+var encryptor = CryptoJS.OCB.create(ocbKey.toUint8Array()).createEncryptor(CryptoJS.enc.Hex.parse("bbaa99887766554433221107").toUint8Array(), [ ocbData.toUint8Array() ]);
+var streamedCt = encryptor.update(CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f10").toUint8Array()).concat(encryptor.finalize(CryptoJS.enc.Hex.parse("11121314151617").toUint8Array()));
+assert(streamedCt.toString(), ct.toString(), "streaming encryption with Uint8Array key, nonce and data");
+
+var ocb = CryptoJS.OCB.create(CryptoJS.enc.Hex.parse("0f0e0d0c0b0a09080706050403020100"), { tagLength: 12 });
+var ocbData = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f2021222324252627");
+var ct = ocb.encrypt(CryptoJS.enc.Hex.parse("bbaa9988776655443322110d"), [ ocbData ], ocbData);
+assert(ct.toString(), "1792a4e31e0755fb03e31b22116e6c2ddf9efd6e33d536f1a0124b0a55bae884ed93481529c76b6ad0c515f4d1cdd4fdac4f02aa", "96-bit tag");
+
+
+// PMAC and AES-PMAC-SIV Examples (Miscreant test vectors)
+log("\nPMAC and AES-PMAC-SIV Example");
+var pmacKey = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f");
+assert(CryptoJS.PMAC(pmacKey, CryptoJS.lib.WordArray.create()).toString(), "4399572cd6ea5341b8d35876a7098af7", "PMAC empty message");
+assert(CryptoJS.PMAC(pmacKey, CryptoJS.enc.Hex.parse("000102")).toString(), "256ba5193c1b991b4df0c51f388a9e27", "PMAC partial block");
+assert(CryptoJS.PMAC(pmacKey, CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f")).toString(), "ebbd822fa458daf6dfdad7c27da76338", "PMAC one block");
+assert(CryptoJS.PMAC(pmacKey, CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f10111213")).toString(), "0412ca150bbf79058d8c75a58c993f55", "PMAC one and a partial block");
+assert(CryptoJS.PMAC(pmacKey, CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f")).toString(), "e97ac04e9e5e3399ce5355cd7407bc75", "PMAC two blocks");
+
+var pmacsiv = CryptoJS.PMACSIV.create(CryptoJS.enc.Hex.parse("fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff"));
+var pmacsivAd = CryptoJS.enc.Hex.parse("101112131415161718191a1b1c1d1e1f2021222324252627");
+var ct = pmacsiv.encrypt([ pmacsivAd ], CryptoJS.enc.Hex.parse("112233445566778899aabbccddee"));
+assert(ct.tag.toString() + ct.ciphertext.toString(), "8c4b814216140fc9b34a41716aa61633ea66abe16b2f6e4bceeda6e9077f", "PMAC-SIV ciphertext");
+
+var recoveredPT = pmacsiv.decrypt([ pmacsivAd ], ct);
+assert(recoveredPT.toString(), "112233445566778899aabbccddee", "PMAC-SIV recovered plaintext");
+
+
+// Streaming SIV Decryption Example
+log("\nStreaming SIV Decryption Example");
+var siv = CryptoJS.SIV.create(keyBytes);
+var ct = siv.encrypt([ adBytes1, adBytes2, nonceBytes ], ptBytes);
+var ctHex = ct.tag.toString() + ct.ciphertext.toString();
+
+var chunks = [];
+var decryptor = CryptoJS.SIV.createDecryptor(keyBytes, [ adBytes1, adBytes2, nonceBytes ], function (chunk) {
+    chunks.push(chunk.toString());
+});
+decryptor.update(CryptoJS.enc.Hex.parse(ctHex.slice(0, 10))).update(CryptoJS.enc.Hex.parse(ctHex.slice(10, 70)));
+assert(decryptor.valid, false, "not valid before finalize");
+assert(decryptor.finalize(CryptoJS.enc.Hex.parse(ctHex.slice(70))), true, "tag verified");
+assert(chunks.join(""), ptBytes.toString(), "streamed plaintext");
+
+var decryptor = CryptoJS.SIV.createDecryptor(keyBytes, [ adBytes1, adBytes2 ], function () {});
+var ctBytes = CryptoJS.enc.Hex.parse(ctHex);
+assert(decryptor.finalize(ctBytes), false, "missing nonce");
+assert(ctBytes.toString(), ctHex, "ciphertext unchanged");
+
+
+// STREAM Example
+log("\nSTREAM Example");
+var streamKey = CryptoJS.enc.Hex.parse("fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff");
+var streamNonce = CryptoJS.enc.Hex.parse("1011121314151617");
+var segments = [ CryptoJS.enc.Hex.parse("00112233"), CryptoJS.enc.Hex.parse("44556677"), CryptoJS.enc.Hex.parse("8899aabb") ];
+
+var encryptor = CryptoJS.STREAM.createEncryptor(streamKey, streamNonce);
+var sealed = segments.map(function (segment, i) {
+    return encryptor.seal(segment, i === segments.length - 1);
+});
+var expected = CryptoJS.SIV.create(streamKey).encrypt([ CryptoJS.lib.WordArray.create(), CryptoJS.enc.Hex.parse("101112131415161700000001" + "00") ], segments[1]);
+assert(sealed[1].toString(), expected.toString(), "segment nonce format");
+
+var decryptor = CryptoJS.STREAM.createDecryptor(streamKey, streamNonce);
+var opened = sealed.map(function (segment, i) {
+    return decryptor.open(segment, i === sealed.length - 1).toString();
+});
+assert(opened.join(","), "00112233,44556677,8899aabb", "opened segments");
+
+var decryptor = CryptoJS.STREAM.createDecryptor(streamKey, streamNonce);
+assert(decryptor.open(sealed[1]), false, "reordered segment");
+assert(decryptor.open(sealed[0]).toString(), "00112233", "first segment after failure");
+assert(decryptor.open(sealed[1], true), false, "truncated stream");
+
+// Interoperability with Miscreant (expected values from the miscreant 0.3.2 npm package)
+var miscreantKey = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f");
+var encryptor = CryptoJS.STREAM.createEncryptor(miscreantKey, streamNonce);
+var ct = encryptor.seal(CryptoJS.enc.Hex.parse("00112233445566778899"));
+assert(ct.tag.toString() + ct.ciphertext.toString(), "413ca7f4a11d9491f1986162b49718cc3364c788ccfde7175f61", "Miscreant first segment");
+var ct = encryptor.seal(CryptoJS.enc.Hex.parse("aabbccddeeff"), false, CryptoJS.enc.Hex.parse("a0a1a2"));
+assert(ct.tag.toString() + ct.ciphertext.toString(), "75ea9281a7361a1e0e9fb356de43de9e7c73549d8caf", "Miscreant segment with additional data");
+var ct = encryptor.seal(CryptoJS.lib.WordArray.create(), true);
+assert(ct.tag.toString() + ct.ciphertext.toString(), "d9f61c8d50fcf7ba775d4cedbfdc8b00", "Miscreant empty last segment");
+
+var encryptor = CryptoJS.STREAM.Encryptor.create(CryptoJS.SIV.create(miscreantKey), streamNonce, 0xfffffffe);
+var ct = encryptor.seal(CryptoJS.enc.Hex.parse("0123"));
+assert(ct.tag.toString() + ct.ciphertext.toString(), "46e2e0df508265a75b4325c5b46bc99df299", "Miscreant counter encoding");
+assert(errorOf(function () { encryptor.seal(CryptoJS.enc.Hex.parse("4567")); }) instanceof CryptoJS.error.LimitExceededError, true, "STREAM counter limit");
+var ct = encryptor.seal(CryptoJS.enc.Hex.parse("4567"), true);
+assert(ct.tag.toString() + ct.ciphertext.toString(), "d66efd819daaa58111af42bedd4193ea76d8", "Miscreant last segment at the counter limit");
+assert(errorOf(function () { CryptoJS.STREAM.createEncryptor(miscreantKey, CryptoJS.enc.Hex.parse("10111213141516")); }) instanceof CryptoJS.error.UnsupportedParameterError, true, "STREAM nonce prefix length");
+assert(CryptoJS.STREAM.Decryptor.create(CryptoJS.SIV.create(miscreantKey), streamNonce, 0xffffffff).open(ct, true).toString(), "4567", "STREAM decryptor resumed at a segment");
+assert(errorOf(function () { CryptoJS.STREAM.Encryptor.create(CryptoJS.SIV.create(miscreantKey), streamNonce, 0x100000000); }) instanceof CryptoJS.error.UnsupportedParameterError, true, "STREAM first segment range");
+
+
+// Serialized SIV Ciphertext Example
+log("\nSerialized SIV Ciphertext Example");
+var siv = CryptoJS.SIV.create(keyBytes1.clone().concat(keyBytes2));
+var ct = siv.encrypt([ adBytes ], CryptoJS.enc.Hex.parse("112233445566778899aabbccddee"));
+var token = ct.toString();
+assert(token, "hWMtB8bo83-VCs0yCi7Mk0DAK5aQxNwE2u9_av5c", "compact format");
+assert(siv.decrypt([ adBytes ], token).toString(), "112233445566778899aabbccddee", "recovered from compact format");
+
+var json = ct.toString(CryptoJS.format.SIVJSON);
+assert(json, '{"tag":"hWMtB8bo83-VCs0yCi7Mkw","ciphertext":"QMArlpDE3ATa739q_lw"}', "JSON format");
+assert(siv.decrypt([ adBytes ], json, CryptoJS.format.SIVJSON).toString(), "112233445566778899aabbccddee", "recovered from JSON format");
+
+assert(siv.decrypt([ adBytes ], CryptoJS.enc.Hex.parse("85632d07c6e8f37f950acd320a2ecc9340c02b9690c4dc04daef7f6afe5c")).toString(), "112233445566778899aabbccddee", "recovered from WordArray");
+assert(siv.decrypt([ adBytes ], token.slice(0, -1) + "d"), false, "tampered compact format");
+
+
+// Base64 Examples (RFC 4648 test vectors)
+log("\nBase64 Example");
+assert(CryptoJS.enc.Base64.stringify(CryptoJS.enc.Latin1.parse("f")), "Zg==", "one byte");
+assert(CryptoJS.enc.Base64.stringify(CryptoJS.enc.Latin1.parse("fo")), "Zm8=", "two bytes");
+assert(CryptoJS.enc.Base64.stringify(CryptoJS.enc.Latin1.parse("foobar")), "Zm9vYmFy", "six bytes");
+assert(CryptoJS.enc.Base64url.stringify(CryptoJS.enc.Latin1.parse("fo")), "Zm8", "Base64url without padding");
+assert(CryptoJS.enc.Latin1.stringify(CryptoJS.enc.Base64.parse("Zm9vYg==")), "foob", "parse padded");
+assert(CryptoJS.enc.Latin1.stringify(CryptoJS.enc.Base64url.parse("Zm9vYg")), "foob", "parse unpadded Base64url");
+
+assert(CryptoJS.enc.Base64url.stringify(CryptoJS.enc.Hex.parse("fbff")), "-_8", "Base64url alphabet");
+try {
+    CryptoJS.enc.Base64url.parse("-_9");
+    assert(false, true, "non-canonical Base64url rejected");
+} catch (e) {
+    assert(e.message, "Malformed Base64url data", "non-canonical Base64url rejected");
+}
+
+[ "Zm9vYg", "Zm9vYg=", "Zm9v\nYg==", "Zm9vYh==", "Zm=vYg==", "-_8=" ].forEach(function (malformed) {
+    try {
+        CryptoJS.enc.Base64.parse(malformed);
+        assert(false, true, "malformed Base64 rejected: " + JSON.stringify(malformed));
+    } catch (e) {
+        assert(e.message, "Malformed Base64 data", "malformed Base64 rejected: " + JSON.stringify(malformed));
+    }
+});
+
+var aesKey = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f");
+var aesIv = CryptoJS.enc.Hex.parse("0f0e0d0c0b0a09080706050403020100");
+var ct = CryptoJS.AES.encrypt("Message", aesKey, { iv: aesIv });
+assert(CryptoJS.enc.Base64.parse(ct.toString()).toString(), ct.ciphertext.toString(), "OpenSSL format");
+assert(CryptoJS.AES.decrypt(ct.toString(), aesKey, { iv: aesIv }).toString(CryptoJS.enc.Utf8), "Message", "decrypt OpenSSL format string");
+
+
+// Typed Array Interop Example
+log("\nTyped Array Interop Example");
+var bytes = new Uint8Array([0x00, 0x11, 0x22, 0x33, 0x44, 0x55]);
+var wordArray = CryptoJS.lib.WordArray.fromUint8Array(bytes);
+assert(wordArray.toString(), "001122334455", "fromUint8Array");
+assert(Array.prototype.join.call(wordArray.toUint8Array(), ","), "0,17,34,51,68,85", "toUint8Array");
+assert(CryptoJS.lib.WordArray.fromDataView(new DataView(bytes.buffer, 1, 3)).toString(), "112233", "fromDataView");
+assert(CryptoJS.lib.WordArray.fromArrayBuffer(wordArray.toArrayBuffer()).toString(), "001122334455", "ArrayBuffer round trip");
+assert(wordArray.toDataView().getUint16(4), 0x4455, "toDataView");
+
+var sivKeyArray = keyBytes1.clone().concat(keyBytes2).toUint8Array();
+var siv = CryptoJS.SIV.create(sivKeyArray, { returnUint8Array: true });
+var ct = siv.encrypt([ adBytes.toUint8Array() ], CryptoJS.enc.Hex.parse("112233445566778899aabbccddee").toUint8Array());
+assert(ct instanceof Uint8Array, true, "SIV returns Uint8Array");
+assert(CryptoJS.lib.WordArray.fromUint8Array(ct).toString(), "85632d07c6e8f37f950acd320a2ecc9340c02b9690c4dc04daef7f6afe5c", "SIV with typed arrays");
+
+var recoveredPT = siv.decrypt([ adBytes.toUint8Array() ], ct.buffer);
+assert(CryptoJS.lib.WordArray.fromUint8Array(recoveredPT).toString(), "112233445566778899aabbccddee", "SIV decrypt from ArrayBuffer");
+
+var cmacKey = CryptoJS.enc.Hex.parse("2b7e151628aed2a6abf7158809cf4f3c");
+var mac = CryptoJS.CMAC(cmacKey.toUint8Array(), new Uint8Array(0), { returnUint8Array: true });
+assert(CryptoJS.lib.WordArray.fromUint8Array(mac).toString(), "bb1d6929e95937287fa37d129b756746", "CMAC with typed arrays");
+
+var s2v = CryptoJS.algo.S2V.create(keyBytes1.toUint8Array(), { returnUint8Array: true });
+s2v.updateAAD(adBytes.toUint8Array());
+var v = s2v.finalize(CryptoJS.enc.Hex.parse("112233445566778899aabbccddee").toUint8Array());
+assert(CryptoJS.lib.WordArray.fromUint8Array(v).toString(), "85632d07c6e8f37f950acd320a2ecc93", "S2V with typed arrays");
+
+
+// Random Source Example
+log("\nRandom Source Example");
+var seed = 1;
+CryptoJS.lib.WordArray.setRandomSource(function (nBytes) {
+    var bytes = [];
+    for (var i = 0; i < nBytes; i++) {
+        seed = seed * 48271 % 0x7fffffff;
+        bytes.push(seed & 0xff);
+    }
+    return bytes;
+});
+assert(CryptoJS.lib.WordArray.random(6).toString(), "8fe2467df123", "seeded random source");
+CryptoJS.lib.WordArray.setRandomSource(function (nBytes) {
+    return new Uint8Array(nBytes - 1);
+});
+try {
+    CryptoJS.lib.WordArray.random(16);
+    assert(false, true, "short random source rejected");
+} catch (e) {
+    assert(e.message, "Random source returned 15 bytes, expected 16", "short random source rejected");
+}
+CryptoJS.lib.WordArray.setRandomSource();
+var random1 = CryptoJS.lib.WordArray.random(32), random2 = CryptoJS.lib.WordArray.random(32);
+assert(random1.sigBytes, 32, "native random length");
+assert(random1.toString() !== random2.toString(), true, "native random bytes differ");
+
+
+// Error Types Example
+log("\nError Types Example");
+var errors = CryptoJS.error;
+function errorOf(fn) {
+    try {
+        fn();
+    } catch (e) {
+        return e;
+    }
+}
+var sivKey = keyBytes1.clone().concat(keyBytes2);
+var sivCiphertext = CryptoJS.SIV.create(sivKey).encrypt([ adBytes ], CryptoJS.enc.Hex.parse("112233445566778899aabbccddee"));
+
+var error = errorOf(function () {
+    CryptoJS.SIV.create(sivKey, { throwOnAuthFailure: true }).decrypt([ CryptoJS.enc.Hex.parse("00") ], sivCiphertext);
+});
+assert(error instanceof errors.AuthenticationError, true, "SIV throws AuthenticationError");
+assert(error instanceof errors.CryptoError && error instanceof Error, true, "AuthenticationError is a CryptoError");
+assert(error.name + ": " + error.message, "AuthenticationError: SIV authentication failed", "AuthenticationError name and message");
+assert(CryptoJS.SIV.create(sivKey).decrypt([ CryptoJS.enc.Hex.parse("00") ], sivCiphertext), false, "SIV still returns false by default");
+assert(errorOf(function () {
+    CryptoJS.SIV.createDecryptor(sivKey, [ adBytes ], function () {}, { throwOnAuthFailure: true }).finalize(sivCiphertext.tag);
+}) instanceof errors.AuthenticationError, true, "SIV.Decryptor throws AuthenticationError");
+
+var cmacKey = CryptoJS.enc.Hex.parse("2b7e151628aed2a6abf7158809cf4f3c");
+assert(CryptoJS.algo.CMAC.create(cmacKey).verify(CryptoJS.enc.Hex.parse("bb1d6929e95937287fa37d129b756746")), true, "CMAC verify");
+assert(CryptoJS.algo.CMAC.create(cmacKey).verify(CryptoJS.enc.Hex.parse("bb1d6929e95937287fa37d129b756747")), false, "CMAC verify mismatch");
+assert(errorOf(function () {
+    CryptoJS.algo.CMAC.create(cmacKey, { throwOnAuthFailure: true }).verify(new Uint8Array(16), "x");
+}).message, "CMAC verification failed", "CMAC verify throws");
+
+assert(errorOf(function () {
+    CryptoJS.EAX.create(cmacKey, { throwOnAuthFailure: true }).decrypt("nonce", CryptoJS.enc.Hex.parse("00112233"));
+}) instanceof errors.AuthenticationError, true, "EAX throws AuthenticationError");
+assert(errorOf(function () {
+    CryptoJS.OCB.create(cmacKey, { throwOnAuthFailure: true }).decrypt(CryptoJS.enc.Hex.parse("000102030405"), [], new CryptoJS.lib.WordArray.init([0, 0, 0, 0]));
+}) instanceof errors.AuthenticationError, true, "OCB throws AuthenticationError");
+assert(errorOf(function () {
+    CryptoJS.AES.decrypt({ ciphertext: CryptoJS.enc.Hex.parse("00000000000000000000000000000000") }, cmacKey, {
+        iv: CryptoJS.enc.Hex.parse("000102030405060708090a0b"),
+        mode: CryptoJS.mode.GCM,
+        padding: CryptoJS.pad.NoPadding,
+        throwOnAuthFailure: true
+    });
+}) instanceof errors.AuthenticationError, true, "GCM throws AuthenticationError");
+
+errors.throwOnAuthFailure = true;
+assert(errorOf(function () {
+    CryptoJS.CCM.create(cmacKey).decrypt(CryptoJS.enc.Hex.parse("00010203040506"), [], new CryptoJS.lib.WordArray.init([0, 0, 0, 0]));
+}) instanceof errors.AuthenticationError, true, "throwing mode as default");
+assert(CryptoJS.CCM.create(cmacKey, { throwOnAuthFailure: false }).decrypt(CryptoJS.enc.Hex.parse("00010203040506"), [], new CryptoJS.lib.WordArray.init([0, 0, 0, 0])), false, "option overrides the default");
+errors.throwOnAuthFailure = false;
+
+assert(errorOf(function () { CryptoJS.enc.Base64.parse("Zm9vYg"); }) instanceof errors.MalformedInputError, true, "MalformedInputError from Base64");
+assert(errorOf(function () { CryptoJS.SIV.create(sivKey).decrypt([], "AAAA"); }) instanceof errors.MalformedInputError, true, "MalformedInputError from SIV");
+assert(errorOf(function () { CryptoJS.SIV.create(keyBytes1); }).message, "SIV key must be 32, 48 or 64 bytes long, got 16", "KeyLengthError from SIV");
+assert(errorOf(function () { CryptoJS.CMAC(CryptoJS.enc.Hex.parse("00"), "x"); }) instanceof errors.KeyLengthError, true, "KeyLengthError from CMAC");
+assert(errorOf(function () { CryptoJS.CCM.create(cmacKey, { tagLength: 5 }); }) instanceof errors.UnsupportedParameterError, true, "UnsupportedParameterError from CCM");
+
+
+// SHA-2 Example
+log("\nSHA-2 Example");
+var twoBlocks256 = "abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq";
+var twoBlocks512 = "abcdefghbcdefghicdefghijdefghijkefghijklfghijklmghijklmnhijklmnoijklmnopjklmnopqklmnopqrlmnopqrsmnopqrstnopqrstu";
+assert(CryptoJS.SHA256("abc").toString(), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad", "SHA256 one block");
+assert(CryptoJS.SHA256("").toString(), "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855", "SHA256 empty message");
+assert(CryptoJS.SHA256(twoBlocks256).toString(), "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1", "SHA256 two blocks");
+assert(CryptoJS.SHA224("abc").toString(), "23097d223405d8228642a477bda255b32aadbce4bda0b3f7e36c9da7", "SHA224 one block");
+assert(CryptoJS.SHA224("").toString(), "d14a028c2a3a2bc9476102bb288234c415a2b01f828ea62ac5b3e42f", "SHA224 empty message");
+assert(CryptoJS.SHA224(twoBlocks256).toString(), "75388b16512776cc5dba5da1fd890150b0c6455cb4f58b1952522525", "SHA224 two blocks");
+assert(CryptoJS.SHA512("abc").toString(), "ddaf35a193617abacc417349ae20413112e6fa4e89a97ea20a9eeee64b55d39a2192992a274fc1a836ba3c23a3feebbd454d4423643ce80e2a9ac94fa54ca49f", "SHA512 one block");
+assert(CryptoJS.SHA512("").toString(), "cf83e1357eefb8bdf1542850d66d8007d620e4050b5715dc83f4a921d36ce9ce47d0d13c5d85f2b0ff8318d2877eec2f63b931bd47417a81a538327af927da3e", "SHA512 empty message");
+assert(CryptoJS.SHA512(twoBlocks512).toString(), "8e959b75dae313da8cf4f72814fc143f8f7779c6eb9f7fa17299aeadb6889018501d289e4900f7e4331b99dec4b5433ac7d329eeb6dd26545e96e55b874be909", "SHA512 two blocks");
+assert(CryptoJS.SHA384("abc").toString(), "cb00753f45a35e8bb5a03d699ac65007272c32ab0eded1631a8b605a43ff5bed8086072ba1e7cc2358baeca134c825a7", "SHA384 one block");
+assert(CryptoJS.SHA384("").toString(), "38b060a751ac96384cd9327eb1b1e36a21fdb71114be07434c0cc7bf63f6e1da274edebfe76f65fbd51ad2f14898b95b", "SHA384 empty message");
+assert(CryptoJS.SHA384(twoBlocks512).toString(), "09330c33f71147e83d192fc782cd1b4753111b173b3b05d22fa08086e3b0f712fcc7c71a557e2db966c3e9fa91746039", "SHA384 two blocks");
+var sha512 = CryptoJS.algo.SHA512.create();
+for (var i = 0; i < 10; i++) {
+    sha512.update("aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa");
+}
+assert(sha512.clone().finalize().toString(), "67ba5535a46e3f86dbfbed8cbbaf0125c76ed549ff8b0b9e03e0c88cf90fa634fa7b12b47d77b694de488ace8d9a65967dc96df599727d3292a8d9d447709c97", "SHA512 incremental update");
+assert(sha512.finalize("a").toString(), "9380554217dff7880a33042c98dfb93a5108e8e8f838ada51babd2ae80267d988217c8ecbee17f638a08cf7ba5dff5dfb460c435a1108d2390aa478359f0f0e0", "SHA512 clone keeps state");
+var sha256 = CryptoJS.algo.SHA256.create();
+sha256.update("abcdbcdecdefdefgefghfghi").update(CryptoJS.enc.Utf8.parse("ghijhijkijkljklmklmnlmnomnopnopq"));
+assert(sha256.finalize().toString(), "248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1", "SHA256 incremental update");
+sha256.reset();
+assert(sha256.finalize("abc").toString(), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad", "SHA256 reset");
+
+
+// HMAC Example
+log("\nHMAC Example");
+var hmacKey1 = CryptoJS.enc.Hex.parse("0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b");
+var hmacKey6 = CryptoJS.enc.Hex.parse("aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa");
+assert(CryptoJS.HmacSHA224("Hi There", hmacKey1).toString(), "896fb1128abbdf196832107cd49df33f47b4b1169912ba4f53684b22", "HmacSHA224 RFC 4231 test case 1");
+assert(CryptoJS.HmacSHA224("what do ya want for nothing?", "Jefe").toString(), "a30e01098bc6dbbf45690f3a7e9e6d0f8bbea2a39e6148008fd05e44", "HmacSHA224 RFC 4231 test case 2");
+assert(CryptoJS.HmacSHA224("Test Using Larger Than Block-Size Key - Hash Key First", hmacKey6).toString(), "95e9a0db962095adaebe9b2d6f0dbce2d499f112f2d2b7273fa6870e", "HmacSHA224 RFC 4231 test case 6");
+assert(CryptoJS.HmacSHA256("Hi There", hmacKey1).toString(), "b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7", "HmacSHA256 RFC 4231 test case 1");
+assert(CryptoJS.HmacSHA256("what do ya want for nothing?", "Jefe").toString(), "5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843", "HmacSHA256 RFC 4231 test case 2");
+assert(CryptoJS.HmacSHA256("Test Using Larger Than Block-Size Key - Hash Key First", hmacKey6).toString(), "60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54", "HmacSHA256 RFC 4231 test case 6");
+assert(CryptoJS.HmacSHA384("Hi There", hmacKey1).toString(), "afd03944d84895626b0825f4ab46907f15f9dadbe4101ec682aa034c7cebc59cfaea9ea9076ede7f4af152e8b2fa9cb6", "HmacSHA384 RFC 4231 test case 1");
+assert(CryptoJS.HmacSHA384("what do ya want for nothing?", "Jefe").toString(), "af45d2e376484031617f78d2b58a6b1b9c7ef464f5a01b47e42ec3736322445e8e2240ca5e69e2c78b3239ecfab21649", "HmacSHA384 RFC 4231 test case 2");
+assert(CryptoJS.HmacSHA384("Test Using Larger Than Block-Size Key - Hash Key First", hmacKey6).toString(), "4ece084485813e9088d2c63a041bc5b44f9ef1012a2b588f3cd11f05033ac4c60c2ef6ab4030fe8296248df163f44952", "HmacSHA384 RFC 4231 test case 6");
+assert(CryptoJS.HmacSHA512("Hi There", hmacKey1).toString(), "87aa7cdea5ef619d4ff0b4241a1d6cb02379f4e2ce4ec2787ad0b30545e17cdedaa833b7d6b8a702038b274eaea3f4e4be9d914eeb61f1702e696c203a126854", "HmacSHA512 RFC 4231 test case 1");
+assert(CryptoJS.HmacSHA512("what do ya want for nothing?", "Jefe").toString(), "164b7a7bfcf819e2e395fbe73b56e0a387bd64222e831fd610270cd7ea2505549758bf75c05a994a6d034f65f8f0e6fdcaeab1a34d4a6b4b636e070a38bce737", "HmacSHA512 RFC 4231 test case 2");
+assert(CryptoJS.HmacSHA512("Test Using Larger Than Block-Size Key - Hash Key First", hmacKey6).toString(), "80b24263c7c1a3ebb71493c1dd7be8b49b46d1f41b4aeec1121b013783f8f3526b56d037e05f2598bd0fd2215d6a1e5295e64f73f63f0aec8b915a985d786598", "HmacSHA512 RFC 4231 test case 6");
+var hmac = CryptoJS.algo.HMAC.create(CryptoJS.algo.SHA256, "Jefe");
+hmac.update("what do ya ").update("want ");
+var tag = hmac.finalize("for nothing?");
+assert(tag.toString(), "5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843", "HMAC streaming update");
+assert(hmac.verify(tag, "what do ya want for nothing?"), true, "HMAC verify");
+hmac.update("garbage");
+hmac.reset();
+assert(hmac.verify(tag, "what do ya want for nothing?"), true, "HMAC reset");
+assert(hmac.verify(CryptoJS.lib.WordArray.create(tag.words.slice(0, 4), 16), "what do ya want for nothing?"), false, "HMAC verify rejects truncated tag");
+assert(hmac.verify(tag, "what do ya want for nothing!"), false, "HMAC verify rejects modified message");
+assert(errorOf(function () {
+    CryptoJS.algo.HMAC.create(CryptoJS.algo.SHA256, "Jefe", { throwOnAuthFailure: true }).verify(tag, "");
+}) instanceof CryptoJS.error.AuthenticationError, true, "HMAC verify throws");
+
+
+// OpenSSL Password-Based Encryption Example
+log("\nOpenSSL Password-Based Encryption Example");
+assert(CryptoJS.MD5("").toString(), "d41d8cd98f00b204e9800998ecf8427e", "MD5 empty message");
+assert(CryptoJS.MD5("abc").toString(), "900150983cd24fb0d6963f7d28e17f72", "MD5 one block");
+assert(CryptoJS.MD5("The quick brown fox jumps over the lazy dog").toString(), "9e107d9d372bb6826bd81d3542a419d6", "MD5 one block");
+assert(CryptoJS.MD5("12345678901234567890123456789012345678901234567890123456789012345678901234567890").toString(), "57edf4a22be3c955ac49da2e2107b67a", "MD5 two blocks");
+assert(CryptoJS.EvpKDF("password", "saltsalt", { keySize: 256/32 }).toString(), "fdbdf3419fff98bdb0241390f62a9db35f4aba29d77566377997314ebfc709f2", "EvpKDF with MD5");
+assert(CryptoJS.EvpKDF("password", "saltsalt", { keySize: 256/32, hasher: CryptoJS.algo.SHA256, iterations: 1000 }).toString(), "4c694f466b05876b5e8dc42c9f4c9365e08058daafd41790003e673efc8dd515", "EvpKDF with SHA256 and iterations");
+
+// Generated with: openssl enc -aes-256-<mode> -md <digest> -pass 'pass:correct horse' -base64 -A
+var opensslPlaintext = "The quick brown fox jumps over the lazy dog";
+var opensslMd5Cbc = "U2FsdGVkX18zT8flrahznXz/3OgChtZdPsPhc32Y1bsvn1CJwasAS7KIVWqBiU7UaRBWQHgjdrDd+uJg7jpQJg==";
+var opensslMd5Ctr = "U2FsdGVkX19Ww6aMitAw5h37xYMBalJsSfXRbVkNgVPn55r7W6zSAvFuYJRVEQvq8a217/1n6VPQALo=";
+var opensslSha256Cbc = "U2FsdGVkX18+YCJhTp123CQvCXiLA3aQB/rBuVLVxhyhHAxLKdHPdDGYFHXnFR/uFLqlnIf5JOeMgk+ZPh0cOw==";
+var opensslSha256Ctr = "U2FsdGVkX18GXxtHAJWqCZ63berr8fLv1KJovpm5kEtReWhcGP+uDLAm6HlYEAZPqCuUfOSZ8ouuq+g=";
+var ctrCfg = { mode: CryptoJS.mode.CTR, padding: CryptoJS.pad.NoPadding, counterWidth: 128 };
+var sha256Cfg = { hasher: CryptoJS.algo.SHA256 };
+var sha256CtrCfg = { mode: CryptoJS.mode.CTR, padding: CryptoJS.pad.NoPadding, counterWidth: 128, hasher: CryptoJS.algo.SHA256 };
+assert(CryptoJS.AES.decrypt(opensslMd5Cbc, "correct horse").toString(CryptoJS.enc.Utf8), opensslPlaintext, "openssl -aes-256-cbc -md md5");
+assert(CryptoJS.AES.decrypt(opensslMd5Ctr, "correct horse", ctrCfg).toString(CryptoJS.enc.Utf8), opensslPlaintext, "openssl -aes-256-ctr -md md5");
+assert(CryptoJS.AES.decrypt(opensslSha256Cbc, "correct horse", sha256Cfg).toString(CryptoJS.enc.Utf8), opensslPlaintext, "openssl -aes-256-cbc -md sha256");
+assert(CryptoJS.AES.decrypt(opensslSha256Ctr, "correct horse", sha256CtrCfg).toString(CryptoJS.enc.Utf8), opensslPlaintext, "openssl -aes-256-ctr -md sha256");
+
+// Generated with: openssl enc -aes-256-cbc -pass 'pass:correct horse' -base64 -A (OpenSSL 3.0, no -md)
+var opensslDefaultCbc = "U2FsdGVkX19M1X4Ci6xK88GU7wu0f9XaF/6qEqWl//a89bYK+nAWPCWRq0biuj107LGJChl2t7yz8pvMOqu+Dw==";
+assert(CryptoJS.AES.decrypt(opensslDefaultCbc, "correct horse", sha256Cfg).toString(CryptoJS.enc.Utf8), opensslPlaintext, "openssl -aes-256-cbc with the default digest");
+assert(errorOf(function () { CryptoJS.AES.decrypt(opensslDefaultCbc, "correct horse"); }) instanceof CryptoJS.error.MalformedInputError, true, "openssl default digest needs the SHA256 hasher");
+
+// Generated with: openssl enc -aes-256-cbc -md sha256 -pass pass:secret -base64 (wrapped at 64 characters)
+var opensslWrapped = "U2FsdGVkX1+IHyxE2xIXQjAwYPAT7WF6kVnmLbxi3be5w0EwT4Slu871HQJOksl7\n" +
+    "pnib2G1Jn1rskcTlGXWfOpLdqZ49jwRY8c53kEUGxLYlAvmOb0hnadmRLeqn+d33\n" +
+    "VfmgcRqdQVgV9MHj5fO658rdW9mnVAPNXaIsMrQPFhk=\n";
+assert(CryptoJS.AES.decrypt(opensslWrapped, "secret", sha256Cfg).sigBytes, 100, "openssl -base64 line breaks");
+
+function withSalt(saltHex, fn) {
+    CryptoJS.lib.WordArray.setRandomSource(function () {
+        return CryptoJS.enc.Hex.parse(saltHex).toUint8Array();
+    });
+    try {
+        return fn();
+    } finally {
+        CryptoJS.lib.WordArray.setRandomSource();
+    }
+}
+assert(withSalt("334fc7e5ada8739d", function () {
+    return CryptoJS.AES.encrypt(opensslPlaintext, "correct horse").toString();
+}), opensslMd5Cbc, "Salted__ output of -aes-256-cbc -md md5");
+assert(withSalt("065f1b470095aa09", function () {
+    return CryptoJS.AES.encrypt(opensslPlaintext, "correct horse", sha256CtrCfg).toString();
+}), opensslSha256Ctr, "Salted__ output of -aes-256-ctr -md sha256");
+
+
+// PBKDF2 and Password-Based SIV Example
+log("\nPBKDF2 and Password-Based SIV Example");
+assert(CryptoJS.PBKDF2("passwd", "salt", { keySize: 512/32, iterations: 1 }).toString(), "55ac046e56e3089fec1691c22544b605f94185216dde0465e68b9d57c20dacbc49ca9cccf179b645991664b39d77ef317c71b845b1e30bd509112041d3a19783", "PBKDF2-HMAC-SHA256 RFC 7914");
+assert(CryptoJS.PBKDF2("password", "salt", { keySize: 256/32, iterations: 4096 }).toString(), "c5e478d59288c841aa530db6845c4c8d962893a001ce4e11a4963873aa98134a", "PBKDF2-HMAC-SHA256 4096 iterations");
+assert(CryptoJS.PBKDF2("password", "salt", { keySize: 512/32, iterations: 1000, hasher: CryptoJS.algo.SHA512 }).toString(), "afe6c5530785b6cc6b1c6453384731bd5ee432ee549fd42fb6695779ad8a1c5bf59de69c48f774efc4007d5298f9033c0241d5ab69305e7b64eceeb8d834cfec", "PBKDF2-HMAC-SHA512");
+
+var vaultSalt = "000102030405060708090a0b0c0d0e0f";
+var vault = withSalt(vaultSalt, function () {
+    return CryptoJS.PasswordBasedSIV.encrypt("correct horse battery staple", "vault contents", [ "vault v1" ], { iterations: 1000 }).toString();
+});
+var vaultKey = CryptoJS.enc.Hex.parse("a69b179e3add3c1e0aaf227a0eb3aa2aa8645ab86fecf6ca00c17512697c719ed35f6dc6fba420111c1d0abb5dabbfc8539681e885523a94f3ea280704b6791b");
+var vaultPrefix = "aes-siv-512.pbkdf2-sha256.1000.AAECAwQFBgcICQoLDA0ODw.";
+assert(vault.slice(0, vaultPrefix.length), vaultPrefix, "password-based SIV stores the parameters");
+assert(vault.slice(vaultPrefix.length), CryptoJS.SIV.create(vaultKey).encrypt([ "vault v1" ], "vault contents").toString(), "password-based SIV uses the PBKDF2 key");
+assert(CryptoJS.PasswordBasedSIV.decrypt("correct horse battery staple", vault, [ "vault v1" ]).toString(CryptoJS.enc.Utf8), "vault contents", "password-based SIV decrypt");
+assert(CryptoJS.PasswordBasedSIV.decrypt("correct horse battery stapler", vault, [ "vault v1" ]), false, "password-based SIV wrong passphrase");
+assert(CryptoJS.PasswordBasedSIV.decrypt("correct horse battery staple", vault.replace(".1000.", ".1001."), [ "vault v1" ]), false, "password-based SIV modified iterations");
+
+var vault512 = CryptoJS.PasswordBasedSIV.encrypt("passphrase", "vault contents", [], { iterations: 10, hasher: CryptoJS.algo.SHA512, keySize: 256/32 });
+assert(vault512.toString().split(".").slice(0, 3).join("."), "aes-siv-256.pbkdf2-sha512.10", "password-based SIV with SHA512");
+assert(CryptoJS.PasswordBasedSIV.decrypt("passphrase", vault512.toString()).toString(CryptoJS.enc.Utf8), "vault contents", "password-based SIV SHA512 decrypt");
+assert(CryptoJS.PasswordBasedSIV.decrypt("passphrase", vault512).toString(CryptoJS.enc.Utf8), "vault contents", "password-based SIV decrypt CipherParams");
+assert(errorOf(function () {
+    CryptoJS.PasswordBasedSIV.decrypt("passphrase", "aes-siv-512.pbkdf2-md5.10.AAAA." + vault512.toString().split(".")[4]);
+}) instanceof CryptoJS.error.MalformedInputError, true, "password-based SIV rejects unknown hashers");
+assert(errorOf(function () {
+    CryptoJS.PasswordBasedSIV.encrypt("passphrase", "vault contents", [], { hasher: CryptoJS.algo.MD5 });
+}) instanceof CryptoJS.error.UnsupportedParameterError, true, "password-based SIV requires SHA-2 for PBKDF2");
+assert(errorOf(function () {
+    CryptoJS.PasswordBasedSIV.decrypt("passphrase", "aes-siv-256.pbkdf2-sha512.9999999999." + vault512.toString().split(".").slice(3).join("."));
+}) instanceof CryptoJS.error.UnsupportedParameterError, true, "password-based SIV rejects huge iteration counts");
+assert(errorOf(function () {
+    CryptoJS.PasswordBasedSIV.decrypt("correct horse battery staple", vault, [ "vault v1" ], { maxIterations: 999 });
+}) instanceof CryptoJS.error.UnsupportedParameterError, true, "password-based SIV maxIterations");
+assert(CryptoJS.PasswordBasedSIV.decrypt("correct horse battery staple", vault, [ "vault v1" ], { maxIterations: 1000 }).toString(CryptoJS.enc.Utf8), "vault contents", "password-based SIV at maxIterations");
+
+
+// HKDF Example
+log("\nHKDF Example");
+var hkdfCases = [
+    // RFC 5869 test cases 1 to 3 (HKDF-SHA256)
+    {
+        ikm: "0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b",
+        salt: "000102030405060708090a0b0c",
+        info: "f0f1f2f3f4f5f6f7f8f9",
+        prk: "077709362c2e32df0ddc3f0dc47bba6390b6c73bb50f9c3122ec844ad7c2b3e5",
+        okm: "3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865"
+    },
+    {
+        ikm: "000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f",
+        salt: "606162636465666768696a6b6c6d6e6f707172737475767778797a7b7c7d7e7f808182838485868788898a8b8c8d8e8f909192939495969798999a9b9c9d9e9fa0a1a2a3a4a5a6a7a8a9aaabacadaeaf",
+        info: "b0b1b2b3b4b5b6b7b8b9babbbcbdbebfc0c1c2c3c4c5c6c7c8c9cacbcccdcecfd0d1d2d3d4d5d6d7d8d9dadbdcdddedfe0e1e2e3e4e5e6e7e8e9eaebecedeeeff0f1f2f3f4f5f6f7f8f9fafbfcfdfeff",
+        prk: "06a6b88c5853361a06104c9ceb35b45cef760014904671014a193f40c15fc244",
+        okm: "b11e398dc80327a1c8e7f78c596a49344f012eda2d4efad8a050cc4c19afa97c59045a99cac7827271cb41c65e590e09da3275600c2f09b8367793a9aca3db71cc30c58179ec3e87c14c01d5c1f3434f1d87"
+    },
+    {
+        ikm: "0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b",
+        salt: "",
+        info: "",
+        prk: "19ef24a32c717b167f33a91d6f648bdf96596776afdb6377ac434c1c293ccb04",
+        okm: "8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8"
+    }
+];
+hkdfCases.forEach(function (testCase, i) {
+    var hkdf = CryptoJS.algo.HKDF.create({ keySize: testCase.okm.length / 8 });
+    var prk = hkdf.extract(CryptoJS.enc.Hex.parse(testCase.ikm), testCase.salt && CryptoJS.enc.Hex.parse(testCase.salt));
+    assert(prk.toString(), testCase.prk, "HKDF extract RFC 5869 test case " + (i + 1));
+    assert(hkdf.expand(prk, CryptoJS.enc.Hex.parse(testCase.info)).toString(), testCase.okm, "HKDF expand RFC 5869 test case " + (i + 1));
+});
+assert(CryptoJS.HKDF(CryptoJS.enc.Hex.parse("00112233445566778899aabbccddeeff"), "salt", "info", { keySize: 100 / 4, hasher: CryptoJS.algo.SHA512 }).toString(), "9b831a6068e125f19d0af0b565dd851942c89ddc115f9116dd8ab6d1211b01cb436945716ef891ea400eec4a5aad602e6c2543d518323cceee336a97726c0c15e1f546dcdf9b504e05234f055063bfd76cd8bd9c33d7b4942075b8f95cd584b93ab9850a", "HKDF-SHA512");
+assert(errorOf(function () {
+    CryptoJS.HKDF("ikm", "salt", "info", { keySize: 255 * 8 + 1 });
+}) instanceof CryptoJS.error.UnsupportedParameterError, true, "HKDF output length limit");
+
+var masterKey = CryptoJS.enc.Hex.parse("00112233445566778899aabbccddeeff");
+var tokenSIV = CryptoJS.SIV.fromMasterKey(masterKey, "tokens v1");
+var tokenKey = CryptoJS.enc.Hex.parse("5b17aedfdd927de95d86bd84a794087430827ec063ca07907e36de167d9b3c0cb158a49a8f3b72dc4cad4b565ede242a79a652689f848d1e650ba9ecdc701540");
+assert(tokenSIV.encrypt([], "token").toString(), CryptoJS.SIV.create(tokenKey).encrypt([], "token").toString(), "SIV.fromMasterKey");
+assert(CryptoJS.SIV.fromMasterKey(masterKey, "tokens v2").encrypt([], "token").toString() !== tokenSIV.encrypt([], "token").toString(), true, "SIV.fromMasterKey separates contexts");
+var tokenSIV256 = CryptoJS.SIV.fromMasterKey(masterKey, "tokens v1", 256/32);
+assert(tokenSIV256.encrypt([], "token").toString(), CryptoJS.SIV.create(CryptoJS.enc.Hex.parse("3e2bd7af7b29710d3b7215ec535628e952b7fd2e3e432c453461ff352e8269a6")).encrypt([], "token").toString(), "SIV.fromMasterKey 256-bit key");
+assert(tokenSIV256.encrypt([], "token").toString() !== CryptoJS.SIV.create(CryptoJS.enc.Hex.parse(tokenKey.toString().slice(0, 64))).encrypt([], "token").toString(), true, "SIV.fromMasterKey key sizes are unrelated");
+assert(errorOf(function () { CryptoJS.SIV.fromMasterKey(masterKey, "tokens v1", 128/32); }) instanceof CryptoJS.error.KeyLengthError, true, "SIV.fromMasterKey key size");
+
+
+// AES Key Wrap Examples (RFC 3394 section 4, RFC 5649 section 6)
+log("\nAES Key Wrap Example");
+[
+    { kek: "000102030405060708090a0b0c0d0e0f", key: "00112233445566778899aabbccddeeff", wrapped: "1fa68b0a8112b447aef34bd8fb5a7b829d3e862371d2cfe5" },
+    { kek: "000102030405060708090a0b0c0d0e0f1011121314151617", key: "00112233445566778899aabbccddeeff", wrapped: "96778b25ae6ca435f92b5b97c050aed2468ab8a17ad84e5d" },
+    { kek: "000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f", key: "00112233445566778899aabbccddeeff", wrapped: "64e8c3f9ce0f5ba263e9777905818a2a93c8191e7d6e8ae7" },
+    { kek: "000102030405060708090a0b0c0d0e0f1011121314151617", key: "00112233445566778899aabbccddeeff0001020304050607", wrapped: "031d33264e15d33268f24ec260743edce1c6c7ddee725a936ba814915c6762d2" },
+    { kek: "000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f", key: "00112233445566778899aabbccddeeff0001020304050607", wrapped: "a8f9bc1612c68b3ff6e6f4fbe30e71e4769c8b80a32cb8958cd5d17d6b254da1" },
+    { kek: "000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f", key: "00112233445566778899aabbccddeeff000102030405060708090a0b0c0d0e0f", wrapped: "28c9f404c4b810f4cbccb35cfb87f8263f5786e2d80ed326cbc7f0e71a99f43bfb988b9b7a02dd21" }
+].forEach(function (vector, i) {
+    var kek = CryptoJS.enc.Hex.parse(vector.kek);
+    assert(CryptoJS.AESKW.wrap(kek, CryptoJS.enc.Hex.parse(vector.key)).toString(), vector.wrapped, "AES-KW wrap vector " + (i + 1));
+    assert(CryptoJS.AESKW.unwrap(kek, CryptoJS.enc.Hex.parse(vector.wrapped)).toString(), vector.key, "AES-KW unwrap vector " + (i + 1));
+});
+var kwKek = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f");
+var kwWrapped = CryptoJS.enc.Hex.parse("1fa68b0a8112b447aef34bd8fb5a7b829d3e862371d2cfe5");
+var kwTampered = CryptoJS.enc.Hex.parse("1fa68b0a8112b447aef34bd8fb5a7b829d3e862371d2cfe4");
+assert(CryptoJS.AESKW.unwrap(kwKek.toUint8Array(), kwWrapped.toUint8Array()).toString(), "00112233445566778899aabbccddeeff", "AES-KW unwrap Uint8Array");
+assert(errorOf(function () { CryptoJS.AESKW.unwrap(kwKek, kwTampered); }) instanceof CryptoJS.error.AuthenticationError, true, "AES-KW unwrap tampered");
+assert(errorOf(function () { CryptoJS.AESKW.unwrap(CryptoJS.enc.Hex.parse("0f0e0d0c0b0a09080706050403020100"), kwWrapped); }) instanceof CryptoJS.error.AuthenticationError, true, "AES-KW unwrap wrong KEK");
+assert(errorOf(function () { CryptoJS.AESKW.wrap(kwKek, CryptoJS.enc.Hex.parse("0011223344556677")); }) instanceof CryptoJS.error.MalformedInputError, true, "AES-KW key data too short");
+assert(errorOf(function () { CryptoJS.AESKW.wrap(kwKek, CryptoJS.enc.Hex.parse("00112233445566778899aabbccddeeff00")); }) instanceof CryptoJS.error.MalformedInputError, true, "AES-KW key data not a multiple of 8 bytes");
+assert(errorOf(function () { CryptoJS.AESKW.unwrap(kwKek, CryptoJS.enc.Hex.parse("1fa68b0a8112b447aef34bd8fb5a7b829d3e8623")); }) instanceof CryptoJS.error.MalformedInputError, true, "AES-KW wrapped key length");
+assert(errorOf(function () { CryptoJS.AESKW.wrap(CryptoJS.enc.Hex.parse("0001020304050607"), kwWrapped); }) instanceof CryptoJS.error.KeyLengthError, true, "AES-KW KEK length");
+
+var kwpKek = CryptoJS.enc.Hex.parse("5840df6e29b02af1ab493b705bf16ea1ae8338f4dcc176a8");
+assert(CryptoJS.AESKWP.wrap(kwpKek, CryptoJS.enc.Hex.parse("c37b7e6492584340bed12207808941155068f738")).toString(), "138bdeaa9b8fa7fc61f97742e72248ee5ae6ae5360d1ae6a5f54f373fa543b6a", "AES-KWP wrap 20 bytes");
+assert(CryptoJS.AESKWP.unwrap(kwpKek, CryptoJS.enc.Hex.parse("138bdeaa9b8fa7fc61f97742e72248ee5ae6ae5360d1ae6a5f54f373fa543b6a")).toString(), "c37b7e6492584340bed12207808941155068f738", "AES-KWP unwrap 20 bytes");
+assert(CryptoJS.AESKWP.wrap(kwpKek, CryptoJS.enc.Hex.parse("466f7250617369")).toString(), "afbeb0f07dfbf5419200f2ccb50bb24f", "AES-KWP wrap 7 bytes");
+assert(CryptoJS.AESKWP.unwrap(kwpKek, CryptoJS.enc.Hex.parse("afbeb0f07dfbf5419200f2ccb50bb24f")).toString(), "466f7250617369", "AES-KWP unwrap 7 bytes");
+[1, 8, 9, 16, 33].forEach(function (length) {
+    var keyData = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f20".slice(0, 2 * length));
+    var wrapped = CryptoJS.AESKWP.wrap(kwpKek, keyData);
+    assert(wrapped.sigBytes, 8 + Math.ceil(length / 8) * 8, "AES-KWP " + length + " byte wrapped length");
+    assert(CryptoJS.AESKWP.unwrap(kwpKek, wrapped).toString(), keyData.toString(), "AES-KWP " + length + " byte round trip");
+});
+// A 16 byte key wrapped without padding has the wrong initial value for the padded variant
+assert(errorOf(function () { CryptoJS.AESKWP.unwrap(kwKek, kwWrapped); }) instanceof CryptoJS.error.AuthenticationError, true, "AES-KWP rejects AES-KW output");
+assert(errorOf(function () { CryptoJS.AESKWP.unwrap(kwpKek, CryptoJS.enc.Hex.parse("afbeb0f07dfbf5419200f2ccb50bb24e")); }) instanceof CryptoJS.error.AuthenticationError, true, "AES-KWP unwrap tampered");
+// Correct initial value, but the length indicator claims 9 bytes in a single semiblock
+var kwpBadLength = new CryptoJS.lib.WordArray.init([0xa65959a6, 9, 0x466f7250, 0x61736900], 16);
+CryptoJS.algo.AES.createEncryptor(kwpKek).encryptBlock(kwpBadLength.words, 0);
+assert(errorOf(function () { CryptoJS.AESKWP.unwrap(kwpKek, kwpBadLength); }) instanceof CryptoJS.error.AuthenticationError, true, "AES-KWP length indicator out of range");
+// Correct initial value and length, but non-zero padding
+var kwpBadPadding = new CryptoJS.lib.WordArray.init([0xa65959a6, 7, 0x466f7250, 0x61736901], 16);
+CryptoJS.algo.AES.createEncryptor(kwpKek).encryptBlock(kwpBadPadding.words, 0);
+assert(errorOf(function () { CryptoJS.AESKWP.unwrap(kwpKek, kwpBadPadding); }) instanceof CryptoJS.error.AuthenticationError, true, "AES-KWP non-zero padding");
+assert(errorOf(function () { CryptoJS.AESKWP.wrap(kwpKek, new CryptoJS.lib.WordArray.init()); }) instanceof CryptoJS.error.MalformedInputError, true, "AES-KWP empty key data");
+assert(errorOf(function () { CryptoJS.AESKWP.unwrap(kwpKek, CryptoJS.enc.Hex.parse("afbeb0f07dfbf541")); }) instanceof CryptoJS.error.MalformedInputError, true, "AES-KWP wrapped key length");
+
+
+// CTR Counter Examples (checked against OpenSSL's aes-128-ctr and AES-ECB encrypted counter blocks)
+log("\nCTR Counter Example");
+var ctrKey = CryptoJS.enc.Hex.parse("2b7e151628aed2a6abf7158809cf4f3c");
+var ctrZeros = new CryptoJS.lib.WordArray.init([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0], 48);
+function ctrKeystream(iv, cfg) {
+    cfg.iv = CryptoJS.enc.Hex.parse(iv);
+    cfg.mode = CryptoJS.mode.CTR;
+    cfg.padding = CryptoJS.pad.NoPadding;
+    return CryptoJS.AES.encrypt(ctrZeros, ctrKey, cfg).ciphertext.toString();
+}
+assert(ctrKeystream("f0f1f2f3f4f5f6f7fffffffffffffffe", { counterWidth: 128 }), "3d476977446478427fbae8c015320b73712e91130a0ec6d8ac7db29700e12699cffb109cd4f3b372e9ec67e8fd60db99", "CTR 128-bit counter carries");
+assert(ctrKeystream("f0f1f2f3f4f5f6f7fffffffffffffffe", { counterWidth: 64 }), "3d476977446478427fbae8c015320b73712e91130a0ec6d8ac7db29700e126990c2fbbb65ad9672a19fefd359bf34b02", "CTR 64-bit counter wraps");
+assert(ctrKeystream("f0f1f2f3f4f5f6f7fffffffffffffffe", { counterWidth: 32 }), "3d476977446478427fbae8c015320b73712e91130a0ec6d8ac7db29700e126998b3bc6178d70126f2142e9eb107e5977", "CTR 32-bit counter wraps");
+assert(ctrKeystream("000000000000000000000000ffffffff", {}).slice(32, 64), "7df76b0c1ab899b33e42f047b91b546f", "CTR default 32-bit counter wraps");
+assert(ctrKeystream("feffffff0102030405060708090a0b0c", { counterWidth: 32, counterLittleEndian: true }), "b8322d5b4aef8b282731d9ce1dae29673163e880c82689ff982a9110ecd14ffdd2a0ed3730d1e119585a865940653563", "CTR little-endian 32-bit counter");
+assert(ctrKeystream("feffffff0102030405060708090a0b0c", { counterWidth: 64, counterLittleEndian: true }), "b8322d5b4aef8b282731d9ce1dae29673163e880c82689ff982a9110ecd14ffdaba41000fc8e703d46516c34cbfc6d0c", "CTR little-endian 64-bit counter");
+var ctrZeroBlock = [0, 0, 0, 0];
+CryptoJS.algo.AES.createEncryptor(ctrKey).encryptBlock(ctrZeroBlock, 0);
+assert(ctrKeystream("ffffffffffffffffffffffffffffffff", { counterWidth: 128 }).slice(32, 64), new CryptoJS.lib.WordArray.init(ctrZeroBlock).toString(), "CTR 128-bit counter wraps to zero");
+assert(errorOf(function () { ctrKeystream("f0f1f2f3f4f5f6f7fffffffffffffffe", { counterWidth: 32, counterWrap: false }); }) instanceof CryptoJS.error.LimitExceededError, true, "CTR counter overflow without wrapping");
+assert(ctrKeystream("f0f1f2f3f4f5f6f7fffffffffffffffd", { counterWidth: 32, counterWrap: false }).slice(32), "3d476977446478427fbae8c015320b73712e91130a0ec6d8ac7db29700e12699", "CTR last counter value without wrapping");
+assert(errorOf(function () { ctrKeystream("f0f1f2f3f4f5f6f7fffffffffffffffe", { counterWidth: 48 }); }) instanceof CryptoJS.error.UnsupportedParameterError, true, "CTR counter width");
+var ctrEncryptor = CryptoJS.algo.AES.createEncryptor(ctrKey, { iv: CryptoJS.enc.Hex.parse("f0f1f2f3f4f5f6f7ffffffffffffffff"), mode: CryptoJS.mode.CTR, padding: CryptoJS.pad.NoPadding, counterWidth: 32, counterWrap: false });
+assert(errorOf(function () { ctrEncryptor.finalize(ctrZeros); }) instanceof CryptoJS.error.LimitExceededError, true, "CTR encryptor counter overflow");
+ctrEncryptor.reset();
+assert(ctrEncryptor.finalize(new CryptoJS.lib.WordArray.init([0, 0, 0, 0], 16)).toString(), "712e91130a0ec6d8ac7db29700e12699", "CTR reset restarts the counter");
+
+
+// Padding Examples
+log("\nPadding Example");
+function padHex(padding, hex) {
+    var data = CryptoJS.enc.Hex.parse(hex);
+    padding.pad(data, 4);
+    return data.toString();
+}
+function unpadHex(padding, hex) {
+    var data = CryptoJS.enc.Hex.parse(hex);
+    padding.unpad(data, 4);
+    return data.toString();
+}
+assert(padHex(CryptoJS.pad.AnsiX923, "48656c6c6f"), "48656c6c6f000000000000000000000b", "ANSI X9.23 pad");
+assert(padHex(CryptoJS.pad.AnsiX923, "000102030405060708090a0b0c0d0e0f"), "000102030405060708090a0b0c0d0e0f00000000000000000000000000000010", "ANSI X9.23 pad full block");
+assert(padHex(CryptoJS.pad.Iso7816, "48656c6c6f"), "48656c6c6f8000000000000000000000", "ISO/IEC 7816-4 pad");
+assert(padHex(CryptoJS.pad.Iso7816, "000102030405060708090a0b0c0d0e"), "000102030405060708090a0b0c0d0e80", "ISO/IEC 7816-4 pad one byte");
+assert(padHex(CryptoJS.pad.ZeroPadding, "48656c6c6f"), "48656c6c6f0000000000000000000000", "zero pad");
+assert(padHex(CryptoJS.pad.ZeroPadding, "000102030405060708090a0b0c0d0e0f"), "000102030405060708090a0b0c0d0e0f", "zero pad aligned");
+var iso10126Padded = CryptoJS.enc.Hex.parse("48656c6c6f");
+CryptoJS.pad.Iso10126.pad(iso10126Padded, 4);
+assert(iso10126Padded.sigBytes + " " + iso10126Padded.toString().slice(0, 10) + " " + iso10126Padded.toString().slice(30), "16 48656c6c6f 0b", "ISO 10126 pad");
+assert(unpadHex(CryptoJS.pad.AnsiX923, "48656c6c6f000000000000000000000b"), "48656c6c6f", "ANSI X9.23 unpad");
+assert(unpadHex(CryptoJS.pad.Iso10126, "48656c6c6f8b2d1f0a7c4e39d5a2660b"), "48656c6c6f", "ISO 10126 unpad");
+assert(unpadHex(CryptoJS.pad.Iso7816, "48656c6c6f8000000000000000000000"), "48656c6c6f", "ISO/IEC 7816-4 unpad");
+assert(unpadHex(CryptoJS.pad.Iso7816, "00112233445566778899aabbccddeeff80000000000000000000000000000000"), "00112233445566778899aabbccddeeff", "ISO/IEC 7816-4 unpad full block");
+assert(unpadHex(CryptoJS.pad.Iso7816, "48656c6c6f8080000000000000000000"), "48656c6c6f80", "ISO/IEC 7816-4 unpad data ending with 0x80");
+assert(unpadHex(CryptoJS.pad.ZeroPadding, "48656c6c6f0000000000000000000000"), "48656c6c6f", "zero unpad");
+assert(unpadHex(CryptoJS.pad.Pkcs7, "48656c6c6f0b0b0b0b0b0b0b0b0b0b0b"), "48656c6c6f", "PKCS #7 unpad");
+
+[
+    [ CryptoJS.pad.Pkcs7, "48656c6c6f0b0b0b0b0b0b0b0b0b0b0a", "PKCS #7 inconsistent bytes" ],
+    [ CryptoJS.pad.Pkcs7, "48656c6c6f0b0b0b0b0b0b0b0b0b0b00", "PKCS #7 zero length" ],
+    [ CryptoJS.pad.Pkcs7, "11111111111111111111111111111111", "PKCS #7 length beyond the block" ],
+    [ CryptoJS.pad.AnsiX923, "48656c6c6f000000000000000001000b", "ANSI X9.23 non-zero filler" ],
+    [ CryptoJS.pad.AnsiX923, "48656c6c6f0000000000000000000011", "ANSI X9.23 length beyond the block" ],
+    [ CryptoJS.pad.Iso10126, "48656c6c6f8b2d1f0a7c4e39d5a26600", "ISO 10126 zero length" ],
+    [ CryptoJS.pad.Iso10126, "48656c6c6f8b2d1f0a7c4e39d5a26620", "ISO 10126 length beyond the block" ],
+    [ CryptoJS.pad.Iso7816, "48656c6c6f8000000000000000000001", "ISO/IEC 7816-4 non-zero after the marker" ],
+    [ CryptoJS.pad.Iso7816, "00000000000000000000000000000000", "ISO/IEC 7816-4 missing marker" ],
+    [ CryptoJS.pad.Iso7816, "80000000000000000000000000000000" + "00000000000000000000000000000000", "ISO/IEC 7816-4 marker before the last block" ],
+    [ CryptoJS.pad.Iso7816, "", "ISO/IEC 7816-4 empty data" ],
+    [ CryptoJS.pad.Pkcs7, "", "PKCS #7 empty data" ]
+].forEach(function (test) {
+    var error = errorOf(function () { unpadHex(test[0], test[1]); });
+    assert(error instanceof CryptoJS.error.MalformedInputError && error.message, "Malformed padding", test[2]);
+});
+
+var padKey = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f");
+var padIv = CryptoJS.enc.Hex.parse("f0f1f2f3f4f5f6f7f8f9fafbfcfdfeff");
+[ "Pkcs7", "AnsiX923", "Iso10126", "Iso7816", "OneZeroPadding" ].forEach(function (name) {
+    var cfg = { iv: padIv, padding: CryptoJS.pad[name] };
+    var roundTrips = true;
+    for (var length = 0; length <= 33; length++) {
+        var message = CryptoJS.enc.Hex.parse("0102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f2021".slice(0, 2 * length));
+        var encrypted = CryptoJS.AES.encrypt(message, padKey, cfg).ciphertext;
+        roundTrips = roundTrips && encrypted.sigBytes === (Math.floor(length / 16) + 1) * 16 &&
+            CryptoJS.AES.decrypt({ ciphertext: encrypted }, padKey, cfg).toString() === message.toString();
+    }
+    assert(roundTrips, true, name + " AES-CBC round trips");
+});
+var zeroPadCiphertext = CryptoJS.AES.encrypt(CryptoJS.enc.Hex.parse("0102030405060708090a0b0c0d0e0f10"), padKey, { iv: padIv, padding: CryptoJS.pad.ZeroPadding }).ciphertext;
+assert(CryptoJS.AES.decrypt({ ciphertext: zeroPadCiphertext }, padKey, { iv: padIv, padding: CryptoJS.pad.ZeroPadding }).toString(), "0102030405060708090a0b0c0d0e0f10", "ZeroPadding AES-CBC aligned round trip");
+// "Hello" with ISO/IEC 7816-4 padding encrypted without padding, as in legacy smartcard data
+var iso7816Ciphertext = CryptoJS.AES.encrypt(CryptoJS.enc.Hex.parse("48656c6c6f8000000000000000000000"), padKey, { iv: padIv, padding: CryptoJS.pad.NoPadding }).ciphertext;
+assert(CryptoJS.AES.decrypt({ ciphertext: iso7816Ciphertext }, padKey, { iv: padIv, padding: CryptoJS.pad.Iso7816 }).toString(CryptoJS.enc.Utf8), "Hello", "ISO/IEC 7816-4 AES-CBC decrypt");
+assert(errorOf(function () {
+    CryptoJS.AES.decrypt({ ciphertext: iso7816Ciphertext }, padKey, { iv: padIv });
+}) instanceof CryptoJS.error.MalformedInputError, true, "PKCS #7 AES-CBC decrypt of other padding");
+
+
+// ECB, CFB and OFB Examples (NIST SP 800-38A appendix F)
+log("\nECB, CFB and OFB Example");
+var sp80038aIv = CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e0f");
+var sp80038aPlaintext = CryptoJS.enc.Hex.parse("6bc1bee22e409f96e93d7e117393172aae2d8a571e03ac9c9eb76fac45af8e5130c81c46a35ce411e5fbc1191a0a52eff69f2445df4f9b17ad2b417be66c3710");
+var sp80038aKeys = {
+    "AES-128": CryptoJS.enc.Hex.parse("2b7e151628aed2a6abf7158809cf4f3c"),
+    "AES-256": CryptoJS.enc.Hex.parse("603deb1015ca71be2b73aef0857d77811f352c073b6108d72d9810a30914dff4")
+};
+[
+    { name: "ECB-AES-128", key: "AES-128", mode: "ECB", ciphertext: "3ad77bb40d7a3660a89ecaf32466ef97f5d3d58503b9699de785895a96fdbaaf43b1cd7f598ece23881b00e3ed0306887b0c785e27e8ad3f8223207104725dd4" },
+    { name: "ECB-AES-256", key: "AES-256", mode: "ECB", ciphertext: "f3eed1bdb5d2a03c064b5a7e3db181f8591ccb10d410ed26dc5ba74a31362870b6ed21b99ca6f4f9f153e7b1beafed1d23304b7a39f9f3ff067d8d8f9e24ecc7" },
+    { name: "CFB128-AES-128", key: "AES-128", mode: "CFB", ciphertext: "3b3fd92eb72dad20333449f8e83cfb4ac8a64537a0b3a93fcde3cdad9f1ce58b26751f67a3cbb140b1808cf187a4f4dfc04b05357c5d1c0eeac4c66f9ff7f2e6" },
+    { name: "CFB128-AES-256", key: "AES-256", mode: "CFB", ciphertext: "dc7e84bfda79164b7ecd8486985d386039ffed143b28b1c832113c6331e5407bdf10132415e54b92a13ed0a8267ae2f975a385741ab9cef82031623d55b1e471" },
+    { name: "CFB8-AES-128", key: "AES-128", mode: "CFB", segmentSize: 8, bytes: 18, ciphertext: "3b79424c9c0dd436bace9e0ed4586a4f32b9" },
+    { name: "CFB8-AES-256", key: "AES-256", mode: "CFB", segmentSize: 8, bytes: 18, ciphertext: "dc1f1a8520a64db55fcc8ac554844e889700" },
+    { name: "OFB-AES-128", key: "AES-128", mode: "OFB", ciphertext: "3b3fd92eb72dad20333449f8e83cfb4a7789508d16918f03f53c52dac54ed8259740051e9c5fecf64344f7a82260edcc304c6528f659c77866a510d9c1d6ae5e" },
+    { name: "OFB-AES-256", key: "AES-256", mode: "OFB", ciphertext: "dc7e84bfda79164b7ecd8486985d38604febdc6740d20b3ac88f6ad82a4fb08d71ab47a086e86eedf39d1c5bba97c4080126141d67f37be8538f5a8be740e484" }
+].forEach(function (vector) {
+    var cfg = { iv: sp80038aIv, mode: CryptoJS.mode[vector.mode], padding: CryptoJS.pad.NoPadding, segmentSize: vector.segmentSize };
+    var key = sp80038aKeys[vector.key];
+    var plaintext = CryptoJS.ext.leftmostBytes(sp80038aPlaintext, vector.bytes || 64);
+    assert(CryptoJS.AES.encrypt(plaintext, key, cfg).ciphertext.toString(), vector.ciphertext, vector.name + " encrypt");
+    assert(CryptoJS.AES.decrypt({ ciphertext: CryptoJS.enc.Hex.parse(vector.ciphertext) }, key, cfg).toString(), plaintext.toString(), vector.name + " decrypt");
+
+    // Feeding the data in uneven parts and reusing the cipher after reset must not change the result
+    var encryptor = CryptoJS.algo.AES.createEncryptor(key, cfg);
+    encryptor.process(CryptoJS.ext.leftmostBytes(plaintext, 7));
+    encryptor.reset();
+    var parts = encryptor.process(CryptoJS.ext.leftmostBytes(plaintext, 5)).toString();
+    parts += encryptor.process(CryptoJS.enc.Hex.parse(plaintext.toString().slice(10, 46))).toString();
+    parts += encryptor.finalize(CryptoJS.enc.Hex.parse(plaintext.toString().slice(46))).toString();
+    assert(parts, vector.ciphertext, vector.name + " in parts after reset");
+});
+assert(CryptoJS.AES.encrypt(CryptoJS.ext.leftmostBytes(sp80038aPlaintext, 20), sp80038aKeys["AES-128"], { iv: sp80038aIv, mode: CryptoJS.mode.CFB, padding: CryptoJS.pad.NoPadding }).ciphertext.toString(), "3b3fd92eb72dad20333449f8e83cfb4ac8a64537", "CFB128 partial block");
+assert(CryptoJS.AES.decrypt({ ciphertext: CryptoJS.enc.Hex.parse("3b3fd92eb72dad20333449f8e83cfb4a7789508d") }, sp80038aKeys["AES-128"], { iv: sp80038aIv, mode: CryptoJS.mode.OFB, padding: CryptoJS.pad.NoPadding }).toString(), "6bc1bee22e409f96e93d7e117393172aae2d8a57", "OFB partial block");
+var ecbCfg = { mode: CryptoJS.mode.ECB };
+assert(CryptoJS.AES.decrypt(CryptoJS.AES.encrypt("ECB with PKCS #7 padding", sp80038aKeys["AES-128"], ecbCfg), sp80038aKeys["AES-128"], ecbCfg).toString(CryptoJS.enc.Utf8), "ECB with PKCS #7 padding", "ECB with padding round trip");
+assert(errorOf(function () {
+    CryptoJS.AES.encrypt(sp80038aPlaintext, sp80038aKeys["AES-128"], { iv: sp80038aIv, mode: CryptoJS.mode.CFB, segmentSize: 64 });
+}) instanceof CryptoJS.error.UnsupportedParameterError, true, "CFB segment size");
+
+
+// XTS-AES Examples (IEEE 1619 annex B, ciphertext stealing checked against OpenSSL's aes-xts)
+log("\nXTS-AES Example");
+var xtsSector = "";
+for (var i = 0; i < 512; i++) {
+    xtsSector += ("0" + (i & 0xff).toString(16)).slice(-2);
+}
+[
+    { name: "vector 2", key: "1111111111111111111111111111111122222222222222222222222222222222", sector: 0x3333333333, plaintext: "4444444444444444444444444444444444444444444444444444444444444444", ciphertext: "c454185e6a16936e39334038acef838bfb186fff7480adc4289382ecd6d394f0" },
+    { name: "vector 3", key: "fffefdfcfbfaf9f8f7f6f5f4f3f2f1f022222222222222222222222222222222", sector: 0x3333333333, plaintext: "4444444444444444444444444444444444444444444444444444444444444444", ciphertext: "af85336b597afc1a900b2eb21ec949d292df4c047e0b21532186a5971a227a89" },
+    { name: "vector 15", key: "fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0bfbebdbcbbbab9b8b7b6b5b4b3b2b1b0", sector: 0x123456789a, plaintext: "000102030405060708090a0b0c0d0e0f10", ciphertext: "6c1625db4671522d3d7599601de7ca09ed" },
+    { name: "100 byte data unit", key: "fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0bfbebdbcbbbab9b8b7b6b5b4b3b2b1b0", sector: 0x123456789a, plaintext: xtsSector.slice(0, 200), ciphertext: "edbf9dace45d6f6a7306e64be5dd824b2538f5724fcf24249ac111ab45ad39233ad6183c66fa548a3cdf3e36d2b21ccdc6bc657cb3aeb87ba2c5f58ffafacd76d0a098b687c0b6536d560ca007051b0b3d40ca91f1439d15791316c489ef5a24449bad44" },
+    { name: "XTS-AES-256 31 byte data unit", key: "27182818284590452353602874713526624977572470936999595749669676273141592653589793238462643383279502884197169399375105820974944592", sector: 0x0201, plaintext: xtsSector.slice(0, 62), ciphertext: "8cc1fbf8283e5e1fa424b9deee42979b47d28f818b77adf832548ab50a2f22" }
+].forEach(function (vector) {
+    var xts = CryptoJS.XTS.create(CryptoJS.enc.Hex.parse(vector.key));
+    assert(xts.encryptSector(vector.sector, CryptoJS.enc.Hex.parse(vector.plaintext)).toString(), vector.ciphertext, "XTS encrypt " + vector.name);
+    assert(xts.decryptSector(vector.sector, CryptoJS.enc.Hex.parse(vector.ciphertext)).toString(), vector.plaintext, "XTS decrypt " + vector.name);
+});
+var xts128 = CryptoJS.XTS.create(CryptoJS.enc.Hex.parse("2718281828459045235360287471352631415926535897932384626433832795"));
+assert(xts128.encryptSector(0, CryptoJS.enc.Hex.parse(xtsSector)).toString().slice(0, 64), "27a7479befa1d476489f308cd4cfa6e2a96e4bbe3208ff25287dd3819616e89c", "XTS-AES-128 vector 4 (first blocks)");
+var xts256 = CryptoJS.XTS.create(CryptoJS.enc.Hex.parse("27182818284590452353602874713526624977572470936999595749669676273141592653589793238462643383279502884197169399375105820974944592"), { returnUint8Array: true });
+var xtsSector255 = xts256.encryptSector(CryptoJS.enc.Hex.parse("ff000000000000000000000000000000"), CryptoJS.enc.Hex.parse(xtsSector));
+assert(xtsSector255 instanceof Uint8Array && CryptoJS.lib.WordArray.fromUint8Array(xtsSector255).toString().slice(0, 64), "1c3b3a102f770386e4836c99e370cf9bea00803f5e482357a4ae12d414a3e63b", "XTS-AES-256 vector 10 (first blocks)");
+assert(CryptoJS.lib.WordArray.fromUint8Array(xts256.decryptSector(255, xtsSector255)).toString(), xtsSector, "XTS-AES-256 random access decrypt");
+assert(xts128.encryptSector(1, CryptoJS.enc.Hex.parse(xtsSector)).toString() !== xts128.encryptSector(0, CryptoJS.enc.Hex.parse(xtsSector)).toString(), true, "XTS sectors differ");
+assert(errorOf(function () { xts128.encryptSector(0, CryptoJS.enc.Hex.parse("000102030405060708090a0b0c0d0e")); }) instanceof CryptoJS.error.MalformedInputError, true, "XTS data unit too short");
+assert(errorOf(function () { xts128.encryptSector(-1, CryptoJS.enc.Hex.parse(xtsSector)); }) instanceof CryptoJS.error.UnsupportedParameterError, true, "XTS negative sector number");
+assert(errorOf(function () { CryptoJS.XTS.create(CryptoJS.enc.Hex.parse("2718281828459045235360287471352631415926535897932384626433832795ff")); }) instanceof CryptoJS.error.KeyLengthError, true, "XTS key length");
+assert(errorOf(function () { CryptoJS.XTS.create(CryptoJS.enc.Hex.parse("0000000000000000000000000000000000000000000000000000000000000000")); }) instanceof CryptoJS.error.KeyLengthError, true, "XTS rejects equal key halves");
+
+
+// CBC Ciphertext Stealing Examples (CS1 checked against OpenSSL's aes-128-cbc-cts, CS3 against RFC 3962)
+log("\nCBC-CS Example");
+var ctsKey = CryptoJS.enc.Hex.parse("636869636b656e207465726979616b69");
+var ctsIv = CryptoJS.enc.Hex.parse("00000000000000000000000000000000");
+var ctsPlaintext = CryptoJS.enc.Utf8.parse("I would like the General Gau's Chicken, please, and wonton soup.");
+[
+    { bytes: 17, cs1: "97c6353568f2bf8cb4d8a580362da7ff7f", cs3: "c6353568f2bf8cb4d8a580362da7ff7f97" },
+    { bytes: 31, cs1: "97687268d6ecccc0c07b25e25ecfe5fc00783e0efdb2c1d445d4c8eff7ed22", cs3: "fc00783e0efdb2c1d445d4c8eff7ed2297687268d6ecccc0c07b25e25ecfe5" },
+    { bytes: 32, cs1: "97687268d6ecccc0c07b25e25ecfe58439312523a78662d5be7fcbcc98ebf5a8", cs3: "39312523a78662d5be7fcbcc98ebf5a897687268d6ecccc0c07b25e25ecfe584" },
+    { bytes: 47, cs1: "97687268d6ecccc0c07b25e25ecfe58439312523a78662d5be7fcbcc98ebf5b3fffd940c16a18c1b5549d2f838029e", cs3: "97687268d6ecccc0c07b25e25ecfe584b3fffd940c16a18c1b5549d2f838029e39312523a78662d5be7fcbcc98ebf5" },
+    { bytes: 48, cs1: "97687268d6ecccc0c07b25e25ecfe58439312523a78662d5be7fcbcc98ebf5a89dad8bbb96c4cdc03bc103e1a194bbd8", cs3: "97687268d6ecccc0c07b25e25ecfe5849dad8bbb96c4cdc03bc103e1a194bbd839312523a78662d5be7fcbcc98ebf5a8" },
+    { bytes: 64, cs1: "97687268d6ecccc0c07b25e25ecfe58439312523a78662d5be7fcbcc98ebf5a89dad8bbb96c4cdc03bc103e1a194bbd84807efe836ee89a526730dbc2f7bc840", cs3: "97687268d6ecccc0c07b25e25ecfe58439312523a78662d5be7fcbcc98ebf5a84807efe836ee89a526730dbc2f7bc8409dad8bbb96c4cdc03bc103e1a194bbd8" }
+].forEach(function (vector) {
+    var plaintext = CryptoJS.ext.leftmostBytes(ctsPlaintext, vector.bytes);
+    // CS2 swaps the last two blocks only if the last one is partial
+    var expected = { 1: vector.cs1, 2: vector.bytes % 16 ? vector.cs3 : vector.cs1, 3: vector.cs3 };
+    [1, 2, 3].forEach(function (variant) {
+        var cfg = { iv: ctsIv, mode: CryptoJS.mode["CBC_CS" + variant] };
+        var name = "CBC-CS" + variant + " " + vector.bytes + " bytes";
+        assert(CryptoJS.AES.encrypt(plaintext, ctsKey, cfg).ciphertext.toString(), expected[variant], name + " encrypt");
+        assert(CryptoJS.AES.decrypt({ ciphertext: CryptoJS.enc.Hex.parse(expected[variant]) }, ctsKey, cfg).toString(CryptoJS.enc.Utf8), plaintext.toString(CryptoJS.enc.Utf8), name + " decrypt");
+    });
+});
+var ctsEncryptor = CryptoJS.algo.AES.createEncryptor(ctsKey, { iv: ctsIv, mode: CryptoJS.mode.CBC_CS3 });
+var ctsParts = ctsEncryptor.process(CryptoJS.ext.leftmostBytes(ctsPlaintext, 20)).toString();
+ctsParts += ctsEncryptor.process(CryptoJS.ext.rightmostBytes(CryptoJS.ext.leftmostBytes(ctsPlaintext, 47), 27)).toString();
+ctsParts += ctsEncryptor.finalize().toString();
+assert(ctsParts, "97687268d6ecccc0c07b25e25ecfe584b3fffd940c16a18c1b5549d2f838029e39312523a78662d5be7fcbcc98ebf5", "CBC-CS3 in parts");
+ctsEncryptor.reset();
+assert(ctsEncryptor.finalize(CryptoJS.ext.leftmostBytes(ctsPlaintext, 17)).toString(), "c6353568f2bf8cb4d8a580362da7ff7f97", "CBC-CS3 after reset");
+var ctsDecryptor = CryptoJS.algo.AES.createDecryptor(ctsKey, { iv: ctsIv, mode: CryptoJS.mode.CBC_CS1 });
+var ctsDecrypted = ctsDecryptor.process(CryptoJS.enc.Hex.parse("97687268d6ecccc0c07b25e25ecfe58439312523")).toString();
+ctsDecrypted += ctsDecryptor.finalize(CryptoJS.enc.Hex.parse("a78662d5be7fcbcc98ebf5b3fffd940c16a18c1b5549d2f838029e")).toString();
+assert(ctsDecrypted, CryptoJS.ext.leftmostBytes(ctsPlaintext, 47).toString(), "CBC-CS1 decrypt in parts");
+assert(CryptoJS.AES.encrypt(CryptoJS.enc.Utf8.parse("0123456789abcdef"), ctsKey, { iv: ctsIv, mode: CryptoJS.mode.CBC_CS3 }).ciphertext.toString(), "abcb1b22857ebe171aae26dc10282b7d", "CBC-CS3 single block");
+[1, 2, 3].forEach(function (variant) {
+    var error = errorOf(function () { CryptoJS.AES.encrypt("short", ctsKey, { iv: ctsIv, mode: CryptoJS.mode["CBC_CS" + variant] }); });
+    assert(error instanceof CryptoJS.error.MalformedInputError, true, "CBC-CS" + variant + " rejects short messages");
+});
+assert(errorOf(function () {
+    CryptoJS.AES.decrypt({ ciphertext: CryptoJS.enc.Hex.parse("97c6353568f2bf8cb4d8a580362da7") }, ctsKey, { iv: ctsIv, mode: CryptoJS.mode.CBC_CS1 });
+}) instanceof CryptoJS.error.MalformedInputError, true, "CBC-CS1 rejects short ciphertexts");
+
+
+// CommonJS Example
+if (typeof require === "function") {
+    log("\nCommonJS Example");
+    var requiredCryptoJS = require("./lib");
+    var requiredSiv = requiredCryptoJS.SIV.create(requiredCryptoJS.enc.Hex.parse(sivKey1 + sivKey2));
+    var requiredToken = requiredSiv.encrypt([ requiredCryptoJS.enc.Hex.parse(ad) ], requiredCryptoJS.enc.Utf8.parse("required")).toString();
+    assert(requiredSiv.decrypt([ requiredCryptoJS.enc.Hex.parse(ad) ], requiredToken).toString(requiredCryptoJS.enc.Utf8), "required", "SIV round trip through require");
+}
+
+
+// Node.js Buffer Example
+if (typeof Buffer !== "undefined") {
+    log("\nNode.js Buffer Example");
+    var sivKeyBuffer = Buffer.from(keyBytes1.toString() + keyBytes2.toString(), "hex");
+    var siv = CryptoJS.SIV.create(sivKeyBuffer, { returnBuffer: true });
+    var token = CryptoJS.SIV.create(keyBytes1.clone().concat(keyBytes2)).encrypt([ adBytes ], CryptoJS.enc.Hex.parse("112233445566778899aabbccddee")).toString();
+    var recoveredPT = siv.decrypt([ Buffer.from(adBytes.toString(), "hex") ], token);
+    assert(Buffer.isBuffer(recoveredPT), true, "SIV returns Buffer");
+    assert(recoveredPT.toString("hex"), "112233445566778899aabbccddee", "SIV decrypt to Buffer");
+    assert(siv.encrypt([ Buffer.from(adBytes.toString(), "hex") ], recoveredPT).toString("base64url"), token, "SIV encrypt Buffer");
+    var pooled = Buffer.concat([ Buffer.alloc(3), Buffer.from("2b7e151628aed2a6abf7158809cf4f3c", "hex") ]).subarray(3);
+    assert(CryptoJS.CMAC(pooled, Buffer.alloc(0), { returnBuffer: true }).toString("hex"), "bb1d6929e95937287fa37d129b756746", "CMAC with Buffer at an offset");
+}
 
 log("SIV test - passed: " + stats.passed + ", failed: " + stats.failed + ", total: " + (stats.passed+stats.failed) + "\n");
 